@@ -1,113 +1,579 @@
-const lz4 = require('lz4');
+const fs = require('fs');
+const {performance} = require('perf_hooks');
+const avro = require('./lib/avro');
+const block = require('./lib/block');
+const charset = require('./lib/charset');
+const confluent = require('./lib/confluent');
+const errors = require('./lib/errors');
+const frame = require('./lib/frame');
+const jsonRecovery = require('./lib/json-recovery');
+const recordBatch = require('./lib/record-batch');
+const records = require('./lib/records');
+const stats = require('./lib/stats');
+const {WorkerPool} = require('./lib/worker-pool');
+
+// Flows saved with a compression level (before the LZ4 HC switch) used HC from this level up
+const HC_MIN_LEVEL = 3;
+const MODES = ['auto', 'compress', 'decompress', 'repair', 'batch-decompress', 'batch-compress'];
+
+// Raw block containers whose size is not stored in the data itself; auto mode only probes Buffers
+const SIZELESS_BLOCK_FORMATS = ['block-property', 'block-bound'];
+
+// Character classes that can be treated as garbage during repair (regex ranges, 'u' flag)
+const GARBAGE_CLASSES = {
+    control: '\\x00-\\x08\\x0B\\x0C\\x0E-\\x1F\\x7F',                // C0 controls except tab/newline/CR, and DEL
+    c1: '\\x80-\\x9F',                                               // C1 controls
+    replacement: '\\uFFFD',                                          // U+FFFD from invalid UTF-8
+    surrogates: '\\uD800-\\uDFFF',                                   // unpaired surrogates only ('u' flag)
+    format: '\\u200B-\\u200F\\u202A-\\u202E\\u2060-\\u2064\\uFEFF',  // zero-width, bidi and BOM characters
+    private: '\\uE000-\\uF8FF',                                      // private use area
+    noncharacters: '\\uFDD0-\\uFDEF\\uFFFE\\uFFFF',                  // Unicode noncharacters
+    nonascii: '\\u{80}-\\u{10FFFF}'                                  // everything outside ASCII (old behaviour)
+};
+const DEFAULT_GARBAGE_CLASSES = ['control', 'c1', 'replacement', 'surrogates'];
+
+// Maximum number of character offsets listed per repair entry
+const MAX_REPAIR_OFFSETS = 100;
+
+// Incomplete msg.parts sequences held at once; the oldest fails when another one starts
+const MAX_PENDING_PARTS = 100;
+
+// Messages processed at once when the node has no In Flight setting (flows saved before it)
+const DEFAULT_MAX_IN_FLIGHT = 100;
+
+// Decode preview limits: decompressed size, result messages and characters of each payload returned
+const PREVIEW_MAX_SIZE = 16 << 20;
+const PREVIEW_MAX_RESULTS = 20;
+const PREVIEW_MAX_TEXT = 64 << 10;
+
+// Kafka record headers naming the value encoding, and encodings meaning "not compressed"
+const ENCODING_HEADERS = ['compression', 'content-encoding'];
+const IDENTITY_ENCODINGS = ['', 'none', 'identity'];
+
+// Split a JSON recovery path ("$[3].name") into the array element and the path inside it
+function elementPath(path) {
+    const match = /^\$\[(\d+)\](.*)$/.exec(path || '');
+    return match ? {index: parseInt(match[1], 10), path: '$' + match[2]} : null;
+}
+
+// Read a pre-shared LZ4 dictionary. Without an assigned ID, its Dict-ID is the file's xxHash32.
+function loadDictionary(file, id) {
+    const data = fs.readFileSync(file);
+    return {id: String(id || '').trim() !== '' ? Number(id) : frame.dictionaryId(data), data: data};
+}
+
+// Pasted preview data: hex, Base64 or text ('auto' tries them in that order)
+function previewInput(data, encoding) {
+    const text = typeof data === 'string' ? data : '';
+    const compact = text.replace(/\s+/g, '');
+    const isHex = compact.length > 0 && compact.length % 2 === 0 && /^[0-9a-fA-F]+$/.test(compact);
+    const isBase64 = compact.length > 0 && compact.length % 4 === 0 && /^[A-Za-z0-9+/]+={0,2}$/.test(compact);
+    
+    if (encoding === 'hex' || (encoding !== 'base64' && encoding !== 'text' && isHex)) {
+        if (!isHex) {
+            throw new Error("Preview data is not valid hex");
+        }
+        return Buffer.from(compact, 'hex');
+    }
+    if (encoding === 'base64' || (encoding !== 'text' && isBase64)) {
+        if (!isBase64) {
+            throw new Error("Preview data is not valid Base64");
+        }
+        return Buffer.from(compact, 'base64');
+    }
+    if (text === '') {
+        throw new Error("No preview data");
+    }
+    return text;
+}
+
+// A result message as shown in the edit dialog
+function previewMessage(resultMsg) {
+    const payload = resultMsg.payload;
+    let type = typeof payload;
+    let text;
+    if (Buffer.isBuffer(payload)) {
+        type = 'buffer';
+        text = payload.slice(0, PREVIEW_MAX_TEXT / 2).toString('hex');
+    } else if (type === 'string') {
+        text = payload;
+    } else {
+        text = JSON.stringify(payload, null, 2);
+    }
+    return {
+        type: type,
+        payload: text !== undefined && text.length > PREVIEW_MAX_TEXT ? text.slice(0, PREVIEW_MAX_TEXT) : text,
+        truncated: text !== undefined && (text.length > PREVIEW_MAX_TEXT || (type === 'buffer' && payload.length > PREVIEW_MAX_TEXT / 2)),
+        lz4: resultMsg.lz4
+    };
+}
+
+// Build the regex matching every character in the selected garbage classes
+function buildGarbagePattern(classes) {
+    const ranges = classes.map((name) => GARBAGE_CLASSES[name]).filter(Boolean).join('');
+    return ranges ? new RegExp('[' + ranges + ']', 'gu') : /(?!)/gu;
+}
 
 module.exports = function(RED) {
+    // Running nodes by ID, for the statistics endpoints
+    const statsNodes = new Map();
+    // Worker thread shared by all decode previews, started by the first one
+    let previewPool = null;
+    
     function KafkaLZ4Node(config) {
         RED.nodes.createNode(this, config);
         const node = this;
         
         // Node configuration
-        node.compressionLevel = config.compressionLevel || 1;
         node.outputFormat = config.outputFormat || 'buffer';
+        node.mode = config.mode || 'auto';
+        node.legacyFraming = config.legacyFraming === true;
+        node.blockFormat = config.blockFormat || 'frame';
+        node.blockSizeProperty = config.blockSizeProperty || 'lz4.uncompressedSize';
+        node.blockSizeBound = parseInt(config.blockSizeBound, 10) || 16777216;
+        // Raw blocks decoded by isCompressed(), by input buffer
+        node.trialDecodes = new WeakMap();
+        node.frameOutput = config.frameOutput || 'concat';
+        node.recordFormat = records.FORMATS.includes(config.recordFormat) ? config.recordFormat : 'json';
+        node.pendingParts = new Map();
+        node.partsTimeout = parseFloat(config.partsTimeout);
+        if (isNaN(node.partsTimeout)) {
+            node.partsTimeout = 60;
+        }
+        node.inputProperty = config.inputProperty || 'payload';
+        node.inputPropertyType = config.inputPropertyType || 'msg';
+        node.outputProperty = config.outputProperty || 'payload';
+        node.outputPropertyType = config.outputPropertyType || 'msg';
+        node.metadataProperty = config.metadataProperty || 'lz4';
+        node.metadataPropertyType = config.metadataPropertyType || 'msg';
+        node.messageShape = config.messageShape || 'payload';
+        node.kafkaKey = config.kafkaKey === true;
+        node.kafkaHeader = (config.kafkaHeader || '').trim() || 'content-encoding';
+        node.charset = charset.CHARSETS.includes(config.charset) ? config.charset : 'utf-8';
+        node.wireFormat = config.wireFormat || 'none';
+        node.schemaId = String(config.schemaId || '').trim() !== '' ? Number(config.schemaId) : null;
+        const schemaSource = RED.nodes.getNode(config.schemas);
+        node.schemaStore = schemaSource ? schemaSource.store : null;
+        node.maxDecompressedSize = parseInt(config.maxDecompressedSize, 10) || 0;
+        node.workerThreshold = parseInt(config.workerThreshold, 10) || 0;
+        node.workerPoolSize = parseInt(config.workerPoolSize, 10) || 2;
+        // Only an explicit 0 lifts the limit
+        node.maxInFlight = parseInt(config.maxInFlight, 10);
+        if (isNaN(node.maxInFlight)) {
+            node.maxInFlight = DEFAULT_MAX_IN_FLIGHT;
+        }
+        node.inFlight = [];
+        // Pre-shared dictionary for LZ4 frames, used when a frame's Dict-ID matches
+        node.dictionary = null;
+        node.dictionaries = new Map();
+        if ((config.dictionary || '').trim()) {
+            try {
+                node.dictionary = loadDictionary(config.dictionary.trim(), config.dictionaryId);
+                node.dictionaries.set(node.dictionary.id, node.dictionary.data);
+            } catch (e) {
+                node.error("Cannot load LZ4 dictionary: " + e.message);
+            }
+        }
+        // Payloads of workerThreshold bytes or more are processed by a copy of this node
+        // running in a worker thread
+        node.pool = node.workerThreshold > 0
+            ? new WorkerPool(node.workerPoolSize, {
+                config: config,
+                schemas: schemaSource ? schemaSource.options : null,
+                dictionary: node.dictionary
+            })
+            : null;
+        node.stats = new stats.Stats();
+        node.statusFormat = config.statusFormat || 'last';
+        node.metricsInterval = parseFloat(config.metricsInterval) || 0;
+        node.compressMinRatio = parseFloat(config.compressMinRatio);
+        if (isNaN(node.compressMinRatio)) {
+            node.compressMinRatio = 5;
+        }
+        node.compressMinSize = parseInt(config.compressMinSize, 10) || 0;
+        node.alwaysCompress = config.alwaysCompress === true;
+        node.belowThreshold = config.belowThreshold || 'clean';
+        node.errorOutput = config.errorOutput === true;
+        node.strict = config.strict === true;
+        node.originalProperty = (config.originalProperty || '').trim();
+        node.garbageClasses = config.garbageClasses !== undefined
+            ? String(config.garbageClasses).split(',').map((name) => name.trim()).filter(Boolean)
+            : DEFAULT_GARBAGE_CLASSES;
+        node.garbagePattern = buildGarbagePattern(node.garbageClasses);
+        node.frameOptions = {
+            highCompression: config.highCompression !== undefined
+                ? config.highCompression === true
+                : (parseInt(config.compressionLevel, 10) || 1) >= HC_MIN_LEVEL,
+            blockMaxSize: parseInt(config.blockMaxSize, 10) || frame.DEFAULT_OPTIONS.blockMaxSize,
+            blockIndependence: config.blockIndependence !== false,
+            blockChecksum: config.blockChecksum === true,
+            contentChecksum: config.contentChecksum !== false,
+            contentSize: config.contentSize === true
+        };
         
         // Initial status
         node.status({fill: "green", shape: "dot", text: "ready"});
         
+        statsNodes.set(node.id, node);
+        
+        // Statistics snapshot on the last output every metricsInterval seconds
+        if (node.metricsInterval > 0) {
+            node.metricsTimer = setInterval(function() {
+                const outputs = new Array(node.errorOutput ? 3 : 2).fill(null);
+                outputs[outputs.length - 1] = {topic: 'metrics', payload: node.stats.toJSON()};
+                node.send(outputs);
+            }, node.metricsInterval * 1000);
+        }
+        
         node.on('input', function(msg) {
+            const started = performance.now();
+            let inputMsg;
+            let mode;
             try {
-                // Input data validation
-                if (!msg.payload) {
-                    node.warn("No payload found in message");
-                    node.status({fill: "yellow", shape: "ring", text: "no payload"});
-                    return;
+                // Processing works on msg.payload / msg.lz4 of a copy holding the configured properties
+                inputMsg = node.readInput(msg);
+                
+                // Resolve operation mode (lz4.mode overrides node setting)
+                mode = (inputMsg.lz4 && inputMsg.lz4.mode) || node.mode;
+                if (MODES.indexOf(mode) === -1) {
+                    throw new errors.LZ4Error(errors.CODES.INVALID_INPUT, "Unknown mode: " + mode);
                 }
                 
-                let inputData;
-                let isDecompression = false;
+                // Records of a msg.parts sequence are merged into one batch before compression
+                if (inputMsg.payload && node.isRecordPart(inputMsg, mode)) {
+                    inputMsg = node.collectParts(inputMsg, msg);
+                    if (!inputMsg) {
+                        return;
+                    }
+                }
                 
-                // Analyze input data and determine processing mode
-                if (Buffer.isBuffer(msg.payload)) {
-                    inputData = msg.payload;
-                    // Check LZ4 magic number
-                    if (msg.payload.length > 4) {
-                        const header = msg.payload.readUInt32LE(0);
-                        if (header === 0x184D2204) {
-                            isDecompression = true;
+                if (node.maxInFlight && node.inFlight.length >= node.maxInFlight) {
+                    throw new errors.LZ4Error(errors.CODES.OVERLOADED,
+                        "Too many messages in flight (limit " + node.maxInFlight + ")");
+                }
+            } catch (error) {
+                node.reportFailure(msg, error, performance.now() - started);
+                return;
+            }
+            
+            // Results are sent in arrival order, so a message waiting for a worker
+            // holds back the ones after it
+            const entry = {msg: msg, mode: mode, started: started, done: false, worker: false, events: []};
+            node.inFlight.push(entry);
+            
+            if (node.pool && node.payloadSize(inputMsg) >= node.workerThreshold) {
+                entry.worker = true;
+                node.pool.run({msg: node.jobMessage(inputMsg), mode: mode, kafka: node.messageShape === 'kafka'})
+                    .then(function(reply) {
+                        entry.events = reply.events;
+                        if (reply.error) {
+                            entry.error = new errors.LZ4Error(reply.error.code, reply.error.message, reply.error);
+                        } else {
+                            entry.result = node.mergeResult(inputMsg, reply.result);
                         }
-                    }
-                } else if (typeof msg.payload === 'string') {
-                    // String analysis - check if data is corrupted
-                    const hasControlChars = /[\x00-\x08\x0B\x0C\x0E-\x1F\x7F-\x9F]/.test(msg.payload);
-                    const hasCorruptedStructure = /[{}].*[^\w\s",:{}[\].-]+.*[{}]/.test(msg.payload);
-                    
-                    if (hasControlChars || hasCorruptedStructure) {
-                        // Corrupted data - set cleanup mode
-                        node.isCleanupMode = true;
-                        inputData = msg.payload; // Use string as is
+                    }, function(error) {
+                        entry.error = error;
+                    })
+                    .then(function() {
+                        entry.finished = performance.now();
+                        entry.done = true;
+                        node.flush();
+                    });
+                return;
+            }
+            
+            try {
+                entry.result = node.messageShape === 'kafka'
+                    ? node.processKafkaMessage(inputMsg, mode)
+                    : node.processMessage(inputMsg, mode);
+            } catch (error) {
+                entry.error = error;
+            }
+            entry.finished = performance.now();
+            entry.done = true;
+            node.flush();
+        });
+        
+        // Send the finished messages at the head of the in-flight queue
+        node.flush = function() {
+            while (node.inFlight.length > 0 && node.inFlight[0].done) {
+                const entry = node.inFlight.shift();
+                
+                // Status updates and warnings of a worker job are replayed in order
+                entry.events.forEach(function(event) {
+                    if (event.type === 'status') {
+                        node.status(event.value);
                     } else {
-                        // Regular string or Base64 encoded compressed data
-                        try {
-                            const base64Decoded = Buffer.from(msg.payload, 'base64');
-                            if (base64Decoded.length > 4) {
-                                const header = base64Decoded.readUInt32LE(0);
-                                if (header === 0x184D2204) {
-                                    isDecompression = true;
-                                    inputData = base64Decoded;
-                                }
-                            }
-                        } catch (e) {
-                            // Not Base64, treat as regular string
-                        }
-                        
-                        if (!isDecompression && !node.isCleanupMode) {
-                            inputData = Buffer.from(msg.payload, 'utf8');
-                        }
+                        node.warn(event.value);
                     }
-                } else if (typeof msg.payload === 'object') {
-                    inputData = Buffer.from(JSON.stringify(msg.payload), 'utf8');
-                } else {
-                    inputData = Buffer.from(String(msg.payload), 'utf8');
+                });
+                
+                // Processing time in milliseconds, from arrival to the end of processing
+                const processingTime = Math.round((entry.finished - entry.started) * 1000) / 1000;
+                if (entry.error) {
+                    node.reportFailure(entry.msg, entry.error, processingTime);
+                    continue;
                 }
                 
+                // A result that cannot be sent fails its message, not the messages queued behind it
+                try {
+                    node.sendResult(entry, processingTime);
+                } catch (error) {
+                    node.reportFailure(entry.msg, error, processingTime);
+                }
+            }
+        };
+        
+        node.sendResult = function(entry, processingTime) {
+            const timing = {processingTime: processingTime};
+            if (entry.worker) {
+                timing.worker = true;
+            }
+            const output = (resultMsg) => node.writeOutput(entry.msg, {...resultMsg, lz4: {...resultMsg.lz4, ...timing}});
+            
+            if (entry.result) {
+                const results = Array.isArray(entry.result) ? entry.result[0] : [entry.result];
+                node.stats.record(node.topicOf(entry.msg), node.statsSample(results, processingTime, entry.mode));
+                node.showSummary();
+            }
+            
+            // Send message (a record format may have found no records, leaving nothing to send)
+            if (Array.isArray(entry.result)) {
+                if (entry.result[0].length > 0) {
+                    node.send([entry.result[0].map(output)]);
+                }
+            } else if (entry.result) {
+                node.send(output(entry.result));
+            }
+        };
+        
+        node.reportFailure = function(msg, error, processingTime) {
+            const failure = errors.classify(error, 'detect');
+            node.stats.fail(node.topicOf(msg), failure.code, processingTime);
+            const failureMsg = {...msg};
+            RED.util.setMessageProperty(failureMsg, node.metadataPropertyType === 'msg' ? node.metadataProperty : 'lz4', {
+                operation: 'failed',
+                error: failure.toJSON()
+            }, true);
+            
+            node.status({fill: "red", shape: "ring", text: "failed: " + failure.code});
+            node.showSummary();
+            if (node.errorOutput) {
+                // Structured failure on the second output
+                failureMsg.error = failure.toJSON();
+                node.send([null, failureMsg]);
+            } else {
+                node.error("LZ4 operation failed: [" + failure.code + "] " + failure.message, failureMsg);
+            }
+        };
+        
+        // Topic the statistics of a message are kept under: the Kafka record's topic or msg.topic
+        node.topicOf = function(msg) {
+            const record = msg.payload;
+            if (node.messageShape === 'kafka' && record !== null && typeof record === 'object' &&
+                !Buffer.isBuffer(record) && record.topic !== undefined) {
+                return record.topic;
+            }
+            return msg.topic;
+        };
+        
+        // Statistics of one processed input message from its result messages. Records and
+        // frames sent separately share the sizes of their batch, so only the first of each counts.
+        // Without result messages (no records found) the mode stands in for the operation.
+        node.statsSample = function(results, processingTime, mode) {
+            const info = results.length > 0 ? results[0].lz4 || {} : {operation: mode};
+            const sample = {
+                operation: info.operation,
+                outputs: results.length,
+                bytesIn: info.originalSize || 0,
+                bytesOut: 0,
+                ratio: null,
+                repairs: [],
+                latency: processingTime
+            };
+            
+            results.forEach(function(resultMsg) {
+                const lz4 = resultMsg.lz4 || {};
+                if (lz4.decompressedSize && !lz4.record) {
+                    sample.bytesOut += lz4.decompressedSize;
+                }
+                (lz4.batchRepairs && !lz4.record ? lz4.batchRepairs : []).concat(lz4.repairs || [])
+                    .forEach((repair) => sample.repairs.push(repair.type));
+            });
+            if (info.compressedSize) {
+                sample.bytesOut = info.compressedSize;
+            }
+            
+            // Space saved: the ratio reached when compressing, the ratio found when decompressing
+            if (info.compressionRatio) {
+                sample.ratio = parseFloat(info.compressionRatio);
+            } else if (info.operation === 'decompress' && sample.bytesOut > 0) {
+                sample.ratio = Math.round((1 - sample.bytesIn / sample.bytesOut) * 10000) / 100;
+            }
+            return sample;
+        };
+        
+        // Running totals instead of the last message, when configured
+        node.showSummary = function() {
+            if (node.statusFormat === 'summary') {
+                node.status({fill: node.stats.total.failed > 0 ? "yellow" : "green", shape: "dot", text: node.stats.summary()});
+            }
+        };
+        
+        // Size of the data a message would have processed: the payload, or the record
+        // value for the Kafka message shape. Objects to be serialized count as 0.
+        node.payloadSize = function(msg) {
+            let data = msg.payload;
+            if (node.messageShape === 'kafka') {
+                data = data !== null && typeof data === 'object' && !Buffer.isBuffer(data) && 'value' in data ? data.value : msg.value;
+            }
+            return Buffer.isBuffer(data) || typeof data === 'string' ? data.length : 0;
+        };
+        
+        // The part of a message a worker needs; the rest (possibly not cloneable,
+        // like the request of an HTTP In node) stays here and is merged back by mergeResult()
+        node.jobMessage = function(msg) {
+            const job = {};
+            ['payload', 'lz4', 'parts', 'key', 'value', 'headers', node.blockSizeProperty.split('.')[0]].forEach(function(name) {
+                if (msg[name] !== undefined) {
+                    job[name] = msg[name];
+                }
+            });
+            return job;
+        };
+        
+        node.mergeResult = function(msg, result) {
+            if (Array.isArray(result)) {
+                return [result[0].map((resultMsg) => ({...msg, ...resultMsg}))];
+            }
+            return result ? {...msg, ...result} : null;
+        };
+        
+        // Run the forced or detected operation on msg.payload. Returns the output message
+        // ([messages] when one input yields several), or null when there is nothing to do.
+        node.processMessage = function(msg, mode) {
+            // Processing stage, reported with failures
+            let stage = 'detect';
+            
+            try {
+                // Input data validation
+                if (!msg.payload) {
+                    node.warn("No payload found in " + node.inputPropertyType + "." + node.inputProperty);
+                    node.status({fill: "yellow", shape: "ring", text: "no payload"});
+                    return null;
+                }
+                
+                let prepared;
+                switch (mode) {
+                    case 'compress':
+                        prepared = node.prepareCompress(msg.payload, msg);
+                        break;
+                    case 'decompress':
+                        prepared = node.prepareDecompress(msg.payload, msg);
+                        break;
+                    case 'repair':
+                        prepared = node.prepareRepair(msg.payload);
+                        break;
+                    case 'batch-decompress':
+                        prepared = node.prepareBatchDecompress(msg.payload);
+                        break;
+                    case 'batch-compress':
+                        prepared = node.prepareBatchCompress(msg.payload);
+                        break;
+                    case 'auto':
+                    default:
+                        prepared = node.detectOperation(msg.payload, msg);
+                        break;
+                }
+                
+                const inputData = prepared.inputData;
+                const operation = prepared.operation;
+                stage = operation;
+                
                 let outputPayload;
                 let outputMsg;
                 
-                if (node.isCleanupMode) {
+                if (operation === 'cleanup') {
                     // Corrupted data cleanup mode
-                    outputPayload = node.processCorruptedData(inputData);
+                    const content = node.repairText(inputData);
+                    outputPayload = content.payload;
                     outputMsg = {
                         ...msg,
                         payload: outputPayload,
                         lz4: {
                             operation: 'cleanup',
-                            originalSize: inputData.length
+                            originalSize: inputData.length,
+                            ...(prepared.charset ? {charset: prepared.charset} : {}),
+                            ...content.info
                         }
                     };
+                    if (node.recordFormat !== 'json') {
+                        outputMsg = [node.recordMessages([outputMsg])];
+                    }
                     node.status({fill: "blue", shape: "dot", text: "cleaned data"});
-                    node.isCleanupMode = false; // Reset
-                } else if (isDecompression) {
-                    // Perform LZ4 decompression - try multiple methods
+                } else if (operation === 'decompress') {
+                    // Perform LZ4 decompression
                     let decompressedData = null;
-                    let decompressedText = '';
+                    let decodeError = null;
+                    let walk = null;
                     
-                    // Method 1: Direct decoding
-                    try {
-                        decompressedData = lz4.decode(inputData);
-                        decompressedText = decompressedData.toString('utf8');
-                    } catch (e) {
-                        // Method 2: Try decoding with header skip
-                        for (let offset = 1; offset <= 20 && offset < inputData.length; offset++) {
-                            try {
-                                decompressedData = lz4.decode(inputData.slice(offset));
-                                decompressedText = decompressedData.toString('utf8');
-                                break;
-                            } catch (skipError) {
-                                continue;
-                            }
+                    if (node.blockFormat !== 'frame') {
+                        // Raw LZ4 block - no header to resync on
+                        try {
+                            decompressedData = node.decodeBlock(inputData, msg);
+                        } catch (e) {
+                            decodeError = e;
+                        }
+                    } else {
+                        // Walk every concatenated frame, salvaging the intact blocks of damaged ones
+                        // and resyncing on the next magic number after garbage.
+                        // Legacy Kafka 0.8/0.9 frames (KAFKA-1493) are accepted as well.
+                        try {
+                            walk = frame.decodeFrames(inputData, node.maxDecompressedSize, node.dictionaries);
+                            decompressedData = Buffer.concat(walk.frames.map((decoded) => decoded.data));
+                        } catch (e) {
+                            decodeError = e;
                         }
                     }
                     
-                    if (decompressedData) {
-                        outputPayload = node.processCorruptedData(decompressedText);
+                    // Records may span frames, so a record format always splits the concatenated frames
+                    if (walk && node.frameOutput === 'parts' && node.recordFormat === 'json') {
+                        // One message per frame, reassembled by a Join node
+                        const partsId = RED.util.generateId();
+                        const frameMsgs = walk.frames.map(function(decoded, index) {
+                            const content = node.decodeContent(decoded.data);
+                            return {
+                                ...msg,
+                                payload: content.payload,
+                                parts: {
+                                    id: partsId,
+                                    index: index,
+                                    count: walk.frames.length,
+                                    type: 'array'
+                                },
+                                lz4: {
+                                    operation: 'decompress',
+                                    originalSize: inputData.length,
+                                    decompressedSize: decoded.data.length,
+                                    format: 'decompressed',
+                                    ...node.containerInfo(decoded.framing),
+                                    ...node.frameInfo(walk, [decoded]),
+                                    ...content.info
+                                }
+                            };
+                        });
+                        
+                        outputMsg = [frameMsgs];
+                        node.status({
+                            fill: node.reportDamage(walk) ? "yellow" : "blue", 
+                            shape: "dot", 
+                            text: `${walk.frames.length} frame(s) (${inputData.length}→${decompressedData.length})`
+                        });
+                    } else if (decompressedData) {
+                        const content = walk && walk.frames.length > 1
+                            ? node.decodeJoinedContent(decompressedData)
+                            : node.decodeContent(decompressedData);
+                        outputPayload = content.payload;
                         outputMsg = {
                             ...msg,
                             payload: outputPayload,
@@ -115,16 +581,37 @@ module.exports = function(RED) {
                                 operation: 'decompress',
                                 originalSize: inputData.length,
                                 decompressedSize: decompressedData.length,
-                                format: 'decompressed'
+                                format: 'decompressed',
+                                ...node.containerInfo(walk ? walk.frames[0].framing : undefined),
+                                ...(walk ? node.frameInfo(walk, walk.frames) : {}),
+                                ...content.info
                             }
                         };
-                        node.status({
-                            fill: "blue", 
-                            shape: "dot", 
-                            text: `decompressed (${inputData.length}→${decompressedData.length})`
-                        });
+                        if (node.recordFormat !== 'json') {
+                            outputMsg = [node.recordMessages([outputMsg])];
+                        }
+                        if (walk && node.reportDamage(walk)) {
+                            node.status({fill: "yellow", shape: "dot", text: `salvaged (${inputData.length}→${decompressedData.length})`});
+                        } else {
+                            node.status({
+                                fill: "blue", 
+                                shape: "dot", 
+                                text: `decompressed (${inputData.length}→${decompressedData.length})`
+                            });
+                        }
                     } else {
-                        // All decompression methods failed
+                        // Decompression failed - report the cause
+                        const cause = errors.classify(decodeError, 'decompress');
+                        const failure = new errors.LZ4Error(cause.code,
+                            "All LZ4 decompression methods failed (" + cause.message + ")",
+                            {stage: 'decompress', offset: cause.offset});
+                        
+                        // Forced decompression (or an error output) must not silently pass data through,
+                        // and data over the size limit is never passed on
+                        if (mode === 'decompress' || node.errorOutput || cause.code === errors.CODES.SIZE_LIMIT) {
+                            throw failure;
+                        }
+                        
                         node.warn("All LZ4 decompression methods failed, returning original data");
                         outputPayload = inputData;
                         outputMsg = {
@@ -132,56 +619,144 @@ module.exports = function(RED) {
                             payload: outputPayload,
                             lz4: {
                                 operation: 'decompress_failed',
-                                error: 'All decompression methods failed'
+                                error: 'All decompression methods failed',
+                                code: failure.code
                             }
                         };
                         node.status({fill: "yellow", shape: "ring", text: "decompress failed"});
                     }
-                } else {
-                    // Perform LZ4 compression
-                    const compressedData = lz4.encode(inputData);
+                } else if (operation === 'batch-decompress') {
+                    // Decode Kafka RecordBatches - one message per record
+                    const batches = recordBatch.decodeRecordBatches(inputData, node.maxDecompressedSize);
+                    const recordCount = batches.reduce((sum, batch) => sum + batch.records.length, 0);
+                    const partsId = RED.util.generateId();
+                    const recordMsgs = [];
                     
-                    // Compression statistics
+                    batches.forEach(function(batch) {
+                        const {records, ...batchInfo} = batch;
+                        records.forEach(function(record) {
+                            recordMsgs.push({
+                                ...msg,
+                                payload: record.value,
+                                key: record.key,
+                                headers: record.headers,
+                                offset: record.offset,
+                                timestamp: record.timestamp,
+                                parts: {
+                                    id: partsId,
+                                    index: recordMsgs.length,
+                                    count: recordCount,
+                                    type: 'array'
+                                },
+                                lz4: {
+                                    operation: 'batch-decompress',
+                                    originalSize: inputData.length,
+                                    batch: batchInfo
+                                }
+                            });
+                        });
+                    });
+                    
+                    outputMsg = [recordMsgs];
+                    node.status({
+                        fill: "blue", 
+                        shape: "dot", 
+                        text: `${recordCount} records from ${batches.length} batch(es)`
+                    });
+                } else if (operation === 'batch-compress') {
+                    // Build an LZ4-compressed Kafka RecordBatch
+                    const batchData = recordBatch.encodeRecordBatch(inputData, {
+                        baseOffset: msg.lz4 && msg.lz4.baseOffset
+                    });
+                    
+                    outputPayload = node.formatOutput(batchData);
+                    outputMsg = {
+                        ...msg,
+                        payload: outputPayload,
+                        lz4: {
+                            operation: 'batch-compress',
+                            recordCount: inputData.length,
+                            compressedSize: batchData.length,
+                            format: node.outputFormat
+                        }
+                    };
+                    node.status({
+                        fill: "green", 
+                        shape: "dot", 
+                        text: `batch of ${inputData.length} records (${batchData.length} bytes)`
+                    });
+                } else {
+                    // Perform LZ4 compression (unless the input is too small to bother)
                     const originalSize = inputData.length;
-                    const compressedSize = compressedData.length;
-                    const compressionRatio = ((originalSize - compressedSize) / originalSize * 100).toFixed(2);
+                    let decision = node.compressionPolicy(mode, originalSize, null);
+                    let compressedData = null;
+                    let compressedSize = null;
+                    let compressionRatio = null;
+                    
+                    if (decision.compress !== false) {
+                        compressedData = node.compressData(inputData);
+                        
+                        // Compression statistics
+                        compressedSize = compressedData.length;
+                        compressionRatio = originalSize > 0
+                            ? ((originalSize - compressedSize) / originalSize * 100).toFixed(2)
+                            : '0.00';
+                        decision = node.compressionPolicy(mode, originalSize, parseFloat(compressionRatio));
+                    }
                     
-                    // Check compression efficiency - return cleaned original if poor compression
-                    if (parseFloat(compressionRatio) < 5) {
-                        outputPayload = node.processCorruptedData(inputData.toString('utf8'));
+                    if (!decision.compress && (node.belowThreshold === 'passthrough' || node.strict)) {
+                        // Poor compression - return the original payload untouched. Strict mode never
+                        // cleans, and this input was not found damaged, so it is not rejected either.
+                        outputMsg = {
+                            ...msg,
+                            lz4: {
+                                operation: 'passthrough',
+                                decision: 'skipped',
+                                reason: decision.reason,
+                                originalSize: originalSize,
+                                compressedSize: compressedSize,
+                                compressionRatio: compressionRatio !== null ? compressionRatio + '%' : null
+                            }
+                        };
+                        node.status({fill: "grey", shape: "dot", text: `passed through (${decision.reason})`});
+                    } else if (!decision.compress) {
+                        // Poor compression - return cleaned original
+                        const content = node.decodeContent(inputData);
+                        outputPayload = content.payload;
                         outputMsg = {
                             ...msg,
                             payload: outputPayload,
                             lz4: {
                                 operation: 'cleaned',
-                                originalSize: originalSize
+                                decision: 'skipped',
+                                reason: decision.reason,
+                                originalSize: originalSize,
+                                compressedSize: compressedSize,
+                                compressionRatio: compressionRatio !== null ? compressionRatio + '%' : null,
+                                ...content.info
                             }
                         };
+                        if (node.recordFormat !== 'json') {
+                            outputMsg = [node.recordMessages([outputMsg])];
+                        }
                         node.status({fill: "blue", shape: "dot", text: "cleaned data"});
                     } else {
-                        // Return compressed data only if compression is efficient
-                        switch (node.outputFormat) {
-                            case 'base64':
-                                outputPayload = compressedData.toString('base64');
-                                break;
-                            case 'hex':
-                                outputPayload = compressedData.toString('hex');
-                                break;
-                            case 'buffer':
-                            default:
-                                outputPayload = compressedData;
-                                break;
-                        }
+                        outputPayload = node.formatOutput(compressedData);
                         
                         outputMsg = {
                             ...msg,
                             payload: outputPayload,
                             lz4: {
                                 operation: 'compress',
+                                decision: 'compressed',
+                                reason: decision.reason,
                                 originalSize: originalSize,
                                 compressedSize: compressedSize,
                                 compressionRatio: compressionRatio + '%',
-                                format: node.outputFormat
+                                format: node.outputFormat,
+                                ...prepared.info,
+                                ...node.containerInfo(node.legacyFraming ? 'legacy' : 'standard', originalSize),
+                                ...node.compressionInfo()
                             }
                         };
                         
@@ -193,311 +768,1030 @@ module.exports = function(RED) {
                     }
                 }
                 
-                // Send message
-                node.send(outputMsg);
+                // Keep the untouched input next to repaired output (opt-in)
+                if (node.originalProperty) {
+                    (Array.isArray(outputMsg) ? outputMsg[0] : [outputMsg]).forEach(function(repairedMsg) {
+                        if (repairedMsg.lz4 && repairedMsg.lz4.repairs && repairedMsg.lz4.repairs.length > 0) {
+                            RED.util.setMessageProperty(repairedMsg, node.originalProperty, msg.payload);
+                        }
+                    });
+                }
                 
+                return outputMsg;
             } catch (error) {
-                node.error("LZ4 operation failed: " + error.message, msg);
-                node.status({fill: "red", shape: "ring", text: "operation failed"});
+                throw errors.classify(error, stage);
             }
-        });
+        };
         
-        // Process corrupted data (unified function for cleanup, decompression, and compression)
-        node.processCorruptedData = function(data) {
-            try {
-                const cleanText = node.cleanDecompressedText(data);
-                const recoveredText = node.recoverJsonText(cleanText);
-                return node.tryParseJson(recoveredText) || 
-                       node.tryParseJson(cleanText) || 
-                       recoveredText || cleanText;
-            } catch (error) {
-                return data;
+        // Read a msg, flow or global property (context keys may name a store: "#:(store)::key")
+        node.readProperty = function(type, property, msg) {
+            if (type === 'msg') {
+                // A missing parent ("data" of "data.body") reads as a missing property
+                try {
+                    return RED.util.getMessageProperty(msg, property);
+                } catch (e) {
+                    return undefined;
+                }
             }
+            const key = RED.util.parseContextStore(property);
+            return node.context()[type].get(key.key, key.store);
         };
         
-        // Text cleanup function
-        node.cleanDecompressedText = function(text) {
-            // 1. Remove control characters
-            let cleaned = text.replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F-\x9F]/g, '');
+        node.writeProperty = function(type, property, msg, value) {
+            if (type === 'msg') {
+                RED.util.setMessageProperty(msg, property, value, true);
+            } else {
+                const key = RED.util.parseContextStore(property);
+                node.context()[type].set(key.key, value, key.store);
+            }
+        };
+        
+        // Copy of msg with the input property as payload and the metadata property as lz4
+        // (per-message options such as lz4.mode are read from there)
+        node.readInput = function(msg) {
+            const inputMsg = {...msg, payload: node.readProperty(node.inputPropertyType, node.inputProperty, msg)};
+            if (node.metadataPropertyType === 'msg') {
+                inputMsg.lz4 = node.readProperty('msg', node.metadataProperty, msg);
+            }
+            return inputMsg;
+        };
+        
+        // Move the result payload and lz4 metadata to the configured properties,
+        // leaving msg.payload and msg.lz4 as they came in unless they are the targets
+        node.writeOutput = function(msg, resultMsg) {
+            const outputMsg = {...resultMsg, payload: msg.payload, lz4: msg.lz4};
+            if (msg.lz4 === undefined) {
+                delete outputMsg.lz4;
+            }
+            node.writeProperty(node.outputPropertyType, node.outputProperty, outputMsg, resultMsg.payload);
+            node.writeProperty(node.metadataPropertyType, node.metadataProperty, outputMsg, resultMsg.lz4);
+            return outputMsg;
+        };
+        
+        // Kafka client message shape: {topic, partition, offset, key, value, headers}, either as
+        // msg.payload (kafka-node, kafkajs consumers) or on the message itself. The value, and
+        // optionally the key, are processed in place; all other fields pass through.
+        node.processKafkaMessage = function(msg, mode) {
+            const inPayload = msg.payload !== null && typeof msg.payload === 'object' &&
+                !Buffer.isBuffer(msg.payload) && !Array.isArray(msg.payload) && 'value' in msg.payload;
+            if (!inPayload && !('value' in msg)) {
+                throw new errors.LZ4Error(errors.CODES.INVALID_INPUT, "Kafka message shape needs msg.payload.value or msg.value");
+            }
+            
+            const record = inPayload ? msg.payload : msg;
+            const encoding = node.findEncodingHeader(record.headers);
+            
+            // The encoding header, when present, decides what happens to the value
+            let valueMode = mode;
+            let skipReason = null;
+            if (record.value === null || record.value === undefined) {
+                skipReason = 'empty_value';
+            } else if (encoding && encoding.value === 'lz4') {
+                if (mode === 'compress') {
+                    skipReason = 'already_compressed';
+                } else {
+                    valueMode = 'decompress';
+                }
+            } else if (encoding && IDENTITY_ENCODINGS.indexOf(encoding.value) === -1) {
+                skipReason = 'other_encoding';
+            }
+            
+            if (skipReason) {
+                node.status({fill: "grey", shape: "dot", text: `skipped (${skipReason})`});
+                return {
+                    ...msg,
+                    lz4: {
+                        operation: 'skipped',
+                        reason: skipReason,
+                        ...(encoding ? {encoding: encoding.value} : {})
+                    }
+                };
+            }
+            
+            const result = node.processMessage({...msg, payload: record.value}, valueMode);
+            if (!result) {
+                return null;
+            }
             
-            // 2. Remove invalid UTF-8 sequences
-            cleaned = cleaned.replace(/[\uFFFD]/g, '');
+            const results = Array.isArray(result) ? result[0] : [result];
+            const key = node.kafkaKey && results.length > 0 ? node.processKafkaKey(record.key, results[0].lz4.operation, msg) : null;
             
-            // 3. Clean up consecutive whitespace
-            cleaned = cleaned.replace(/\s+/g, ' ');
+            const kafkaMsgs = results.map(function(resultMsg) {
+                const changes = {value: resultMsg.payload};
+                const operation = resultMsg.lz4.operation;
+                if (operation === 'compress' || (operation === 'decompress' && encoding)) {
+                    // Drop the old encoding header; a compressed value gets ours
+                    changes.headers = {...record.headers};
+                    if (encoding) {
+                        delete changes.headers[encoding.name];
+                    }
+                    if (operation === 'compress') {
+                        changes.headers[node.kafkaHeader] = 'lz4';
+                    }
+                }
+                if (key) {
+                    changes.key = key.value;
+                }
+                
+                const lz4Info = key ? {...resultMsg.lz4, key: key.info} : resultMsg.lz4;
+                if (inPayload) {
+                    return {...resultMsg, payload: {...record, ...changes}, lz4: lz4Info};
+                }
+                return {...resultMsg, ...changes, payload: msg.payload, lz4: lz4Info};
+            });
             
-            return cleaned.trim();
+            return Array.isArray(result) ? [kafkaMsgs] : kafkaMsgs[0];
         };
         
-        // JSON text recovery function
-        node.recoverJsonText = function(text) {
-            try {
-                const jsonStart = text.indexOf('{');
-                const jsonEnd = text.lastIndexOf('}');
-                
-                if (jsonStart === -1 || jsonEnd === -1 || jsonStart >= jsonEnd) {
-                    return text;
+        // Find the compression / content-encoding header (names are case-insensitive).
+        // Returns {name, value} with the value lower-cased, or null.
+        node.findEncodingHeader = function(headers) {
+            if (!headers || typeof headers !== 'object') {
+                return null;
+            }
+            const name = Object.keys(headers).find((headerName) => ENCODING_HEADERS.indexOf(headerName.toLowerCase()) !== -1);
+            if (name === undefined) {
+                return null;
+            }
+            
+            // kafkajs delivers header values as Buffers, repeated headers as arrays
+            let value = headers[name];
+            if (Array.isArray(value)) {
+                value = value[0];
+            }
+            return {name: name, value: value === null || value === undefined ? '' : value.toString().trim().toLowerCase()};
+        };
+        
+        // Compress or decompress the record key along with the value. Keys are identifiers,
+        // so no repair is applied; decompressed keys are returned as strings.
+        node.processKafkaKey = function(key, operation, msg) {
+            // The out-of-band size property belongs to the value
+            if (key === null || key === undefined || node.blockFormat === 'block-property') {
+                return null;
+            }
+            
+            if (operation === 'compress') {
+                const data = node.toBuffer(key);
+                const compressed = node.compressData(data);
+                return {
+                    value: node.formatOutput(compressed),
+                    info: {operation: 'compress', originalSize: data.length, compressedSize: compressed.length}
+                };
+            }
+            
+            if (operation === 'decompress') {
+                const data = node.toBinary(key, (candidate) => node.isCompressed(candidate, msg));
+                if (data && node.isCompressed(data, msg)) {
+                    const plain = node.blockFormat === 'frame'
+                        ? Buffer.concat(frame.decodeFrames(data, node.maxDecompressedSize, node.dictionaries).frames.map((decoded) => decoded.data))
+                        : node.decodeBlock(data, msg);
+                    const text = node.decodeText(plain);
+                    return {
+                        value: text.text,
+                        info: {operation: 'decompress', originalSize: data.length, decompressedSize: plain.length, charset: text.charset}
+                    };
                 }
-                
-                let jsonText = text.substring(jsonStart, jsonEnd + 1);
-                
-                // 0. Fix JSON start structure (remove invalid characters after {)
-                jsonText = node.fixJsonStart(jsonText);
-                
-                // 0.1. Fix JSON end structure (remove invalid characters before })
-                jsonText = node.fixJsonEnd(jsonText);
-                
-                // 1. Remove control characters and corrupted characters
-                jsonText = jsonText.replace(/[^\x20-\x7E\s{}[\]":,.-]/g, '');
-                
-                // 2. Clean corrupted string values (weird characters between quotes)
-                jsonText = jsonText.replace(/"([^"]*)[^\w\s",:{}[\].-]+([^"]*)"/g, '"$1$2"');
-                
-                // 3. Fix invalid structure
-                jsonText = jsonText.replace(/,\s*}/g, '}');
-                jsonText = jsonText.replace(/,\s*]/g, ']');
-                jsonText = jsonText.replace(/}\s*{/g, '}, {');
-                
-                // 4. Clean up consecutive whitespace and newlines
-                jsonText = jsonText.replace(/\s+/g, ' ').trim();
-                
-                return jsonText;
-            } catch (error) {
-                return text;
             }
+            
+            return null;
+        };
+        
+        // Check whether a buffer starts with the LZ4 frame magic number
+        node.isLZ4Frame = function(buffer) {
+            if (!Buffer.isBuffer(buffer) || buffer.length <= 4) {
+                return false;
+            }
+            // Payloads may open with a skippable (metadata) frame
+            const magic = buffer.readUInt32LE(0);
+            return magic === frame.MAGIC || frame.isSkippable(magic);
         };
         
-        // Fix JSON start structure function
-        node.fixJsonStart = function(jsonText) {
+        // Check whether a buffer holds compressed data in the configured format.
+        // Raw blocks carry no magic number, so a trial decode decides; its result is
+        // kept for decodeBlock() instead of decoding the same block again.
+        node.isCompressed = function(buffer, msg) {
+            if (node.blockFormat === 'frame') {
+                return node.isLZ4Frame(buffer);
+            }
+            if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+                return false;
+            }
             try {
-                // Check if it starts correctly with {" or { "
-                if (/^{\s*"/.test(jsonText)) {
-                    return jsonText; // Already in correct format
+                node.decodeBlock(buffer, msg, true);
+                return true;
+            } catch (e) {
+                return false;
+            }
+        };
+        
+        // Decode a raw LZ4 block using the configured block format. A trial decode (keep)
+        // stays attached to the buffer until the next decodeBlock() call for it.
+        node.decodeBlock = function(buffer, msg, keep) {
+            const size = node.blockFormat === 'block-property' ? RED.util.getMessageProperty(msg, node.blockSizeProperty) : undefined;
+            const trial = node.trialDecodes.get(buffer);
+            if (trial && trial.size === size) {
+                if (!keep) {
+                    node.trialDecodes.delete(buffer);
                 }
+                return trial.data;
+            }
+            
+            const data = block.decode(buffer, node.blockFormat, {
+                size: size,
+                bound: node.blockSizeBound,
+                maxSize: node.maxDecompressedSize
+            });
+            if (keep) {
+                node.trialDecodes.set(buffer, {size: size, data: data});
+            }
+            return data;
+        };
+        
+        // Auto mode: analyze input data and determine processing operation
+        node.detectOperation = function(payload, msg) {
+            if (Buffer.isBuffer(payload)) {
+                return {
+                    operation: node.isCompressed(payload, msg) ? 'decompress' : 'compress',
+                    inputData: payload
+                };
+            }
+            
+            if (typeof payload === 'string') {
+                // String analysis - check if data is corrupted
+                const hasGarbageChars = node.hasGarbage(payload);
+                const hasCorruptedStructure = /[{}].*[^\p{L}\p{M}\p{N}_\s",:{}[\].-]+.*[{}]/u.test(payload);
                 
-                // Handle cases with invalid characters after { or { (space)
-                // Patterns: { 7e{", { $:b{", { {", {T1{", etc.
-                const patterns = [
-                    // Pattern 1: { + invalid_chars + {"
-                    /^{\s*([^"{}]+)({.*)/,
-                    // Pattern 2: {{ or {{{ etc.
-                    /^{+(.*)$/,
-                    // Pattern 3: { + space + invalid + {"
-                    /^{\s+([^"{}]+)({.*)/
-                ];
+                if (hasGarbageChars || hasCorruptedStructure) {
+                    // Corrupted data - use string as is
+                    return {operation: 'cleanup', inputData: payload};
+                }
                 
-                for (const pattern of patterns) {
-                    const match = jsonText.match(pattern);
-                    if (match) {
-                        const remainingPart = match[2] || match[1];
-                        
-                        // Try different candidates
-                        const candidates = [
-                            remainingPart, // Direct remaining part
-                            '{' + remainingPart, // Add single bracket
-                            remainingPart.startsWith('"') ? '{' + remainingPart : null // Add bracket if starts with quote
-                        ].filter(Boolean);
-                        
-                        for (const candidate of candidates) {
-                            if (candidate.startsWith('{') && candidate.includes('"')) {
-                                // Basic validation: check if it looks like JSON
-                                try {
-                                    // Try a simple structure check
-                                    if (node.looksLikeJson(candidate)) {
-                                        return candidate;
-                                    }
-                                } catch (e) {
-                                    continue;
-                                }
-                            }
-                        }
+                // Regular string or Base64 encoded compressed data. Raw blocks without a size
+                // prefix decode from almost any bytes, so strings are not probed for them.
+                if (!SIZELESS_BLOCK_FORMATS.includes(node.blockFormat)) {
+                    const base64Decoded = Buffer.from(payload, 'base64');
+                    if (node.isCompressed(base64Decoded, msg)) {
+                        return {operation: 'decompress', inputData: base64Decoded};
                     }
                 }
                 
-                return jsonText;
-            } catch (error) {
-                return jsonText;
+                return node.prepareCompress(payload, msg);
             }
+            
+            return node.prepareCompress(payload, msg);
         };
         
-        // Quick check if text looks like JSON structure
-        node.looksLikeJson = function(text) {
-            try {
-                if (!text || !text.startsWith('{') || !text.includes('"')) {
-                    return false;
-                }
-                
-                // Check for basic JSON patterns
-                const hasKeyValuePairs = /"[^"]*"\s*:\s*[^,}]+/.test(text);
-                const hasValidEnding = text.trim().endsWith('}') || text.trim().endsWith(']');
-                
-                return hasKeyValuePairs && hasValidEnding;
-            } catch (error) {
+        // Forced compress mode: never inspect the content. Arrays are written in the record
+        // format first. With the Confluent wire format and a schema ID, objects and strings are
+        // encoded with that schema and framed.
+        node.prepareCompress = function(payload, msg) {
+            let info = {};
+            if (Array.isArray(payload) && node.recordFormat !== 'json') {
+                info = {recordFormat: node.recordFormat, recordCount: payload.length};
+                payload = node.joinRecords(payload);
+            }
+            
+            const schemaId = node.wireFormat === 'confluent' && !Buffer.isBuffer(payload) ? node.findSchemaId(msg) : null;
+            if (schemaId === null) {
+                return {operation: 'compress', inputData: node.toBuffer(payload), info: info};
+            }
+            
+            const schema = node.findSchema(schemaId);
+            const data = schema.type === 'avro' ? avro.encode(schema.avro, payload) : node.toBuffer(payload);
+            return {
+                operation: 'compress',
+                inputData: confluent.wrap(schemaId, data),
+                info: {...info, schemaId: schemaId, schemaType: schema.type}
+            };
+        };
+        
+        // Write records as one batch in the record format
+        node.joinRecords = function(items) {
+            const lines = items.map((item) => Buffer.isBuffer(item) ? node.decodeText(item).text : item);
+            switch (node.recordFormat) {
+                case 'ndjson':
+                    return records.toNdjson(lines);
+                case 'csv':
+                    return records.toCsv(lines);
+                default:
+                    return JSON.stringify(lines);
+            }
+        };
+        
+        // Whether msg is one part of a sequence of records to merge before compression. In auto
+        // mode only object parts count; Buffers and strings may be compressed data.
+        node.isRecordPart = function(msg, mode) {
+            if (node.recordFormat === 'json' || node.messageShape !== 'payload' ||
+                !msg.parts || msg.parts.id === undefined || !Number.isInteger(msg.parts.index)) {
                 return false;
             }
+            return mode === 'compress' ||
+                (mode === 'auto' && !Buffer.isBuffer(msg.payload) && typeof msg.payload !== 'string');
         };
         
-        // Fix JSON end structure function
-        node.fixJsonEnd = function(jsonText) {
-            try {
-                // Simple case: check for excessive closing brackets like }}}, ]}}, etc.
-                const excessiveBrackets = /^(.*["\]\}])\s*([\]\}]{2,})$/;
-                const match = jsonText.match(excessiveBrackets);
-                
-                if (match) {
-                    const mainPart = match[1];
-                    
-                    // Try different valid single endings
-                    const candidates = [
-                        mainPart + '}',
-                        mainPart + ']',
-                        mainPart + ']}',
-                        mainPart + '}}'
-                    ];
-                    
-                    for (const candidate of candidates) {
-                        if (node.isValidJsonStructure(candidate)) {
-                            return candidate;
-                        }
-                    }
+        // Gather the records of a msg.parts sequence until every part has arrived. Returns the
+        // last part holding all records in order (without its parts), or null while waiting.
+        // Sequences still incomplete after partsTimeout seconds fail with the original message
+        // of their first part.
+        node.collectParts = function(msg, originalMsg) {
+            const parts = msg.parts;
+            let pending = node.pendingParts.get(parts.id);
+            if (!pending) {
+                if (node.pendingParts.size >= MAX_PENDING_PARTS) {
+                    node.failParts(node.pendingParts.keys().next().value,
+                        "too many incomplete sequences (limit " + MAX_PENDING_PARTS + ")");
                 }
-                
-                // More complex patterns: handle invalid characters before closing brackets
-                const patterns = [
-                    // Pattern 1: "value"}} -> "value"}
-                    /^(.*"[^"]*")\s*}+$/,
-                    // Pattern 2: ...]} + extra }
-                    /^(.*[\]\}])\s*[\]\}]+$/,
-                    // Pattern 3: ...} + invalid chars + }
-                    /(.*["\]\}])([^"\]\}\s]+)}+$/
-                ];
-                
-                for (const pattern of patterns) {
-                    const patternMatch = jsonText.match(pattern);
-                    if (patternMatch) {
-                        const mainPart = patternMatch[1];
-                        
-                        // Try different valid endings
-                        const candidates = [
-                            mainPart + '}',
-                            mainPart + ']',
-                            mainPart + ']}',
-                            mainPart
-                        ];
-                        
-                        for (const candidate of candidates) {
-                            if (node.isValidJsonStructure(candidate)) {
-                                return candidate;
-                            }
-                        }
-                    }
+                pending = {records: [], received: 0, count: undefined, msg: originalMsg, started: performance.now(), timer: null};
+                if (node.partsTimeout > 0) {
+                    pending.timer = setTimeout(function() {
+                        node.failParts(parts.id, "timed out after " + node.partsTimeout + " s");
+                    }, node.partsTimeout * 1000);
                 }
-                
-                return jsonText;
-            } catch (error) {
-                return jsonText;
+                node.pendingParts.set(parts.id, pending);
+            }
+            if (!(parts.index in pending.records)) {
+                pending.received++;
+            }
+            pending.records[parts.index] = msg.payload;
+            if (parts.count !== undefined) {
+                pending.count = parts.count;
+            }
+            
+            if (pending.count === undefined || pending.received < pending.count) {
+                node.status({fill: "grey", shape: "ring", text: `waiting for parts (${pending.received}/${pending.count || '?'})`});
+                return null;
             }
+            
+            clearTimeout(pending.timer);
+            node.pendingParts.delete(parts.id);
+            const merged = {...msg, payload: pending.records};
+            if (parts.parts) {
+                merged.parts = parts.parts;
+            } else {
+                delete merged.parts;
+            }
+            return merged;
         };
         
-        // Check if text has valid JSON structure
-        node.isValidJsonStructure = function(text) {
-            try {
-                // Basic structure checks
-                if (!text || typeof text !== 'string') {
-                    return false;
+        // Drop an incomplete msg.parts sequence and report it as failed, with its first part
+        node.failParts = function(id, reason) {
+            const pending = node.pendingParts.get(id);
+            clearTimeout(pending.timer);
+            node.pendingParts.delete(id);
+            node.reportFailure(pending.msg, new errors.LZ4Error(errors.CODES.INVALID_INPUT,
+                "Incomplete msg.parts sequence " + id + " (" + pending.received + "/" + (pending.count || '?') +
+                " parts): " + reason, {stage: 'detect'}), performance.now() - pending.started);
+        };
+        
+        // Forced decompress mode: input must be an LZ4 frame or block (raw, base64 or hex)
+        node.prepareDecompress = function(payload, msg) {
+            const candidate = node.toBinary(payload, (data) => node.isCompressed(data, msg));
+            
+            if (node.blockFormat !== 'frame') {
+                if (!candidate) {
+                    throw new errors.LZ4Error(errors.CODES.INVALID_INPUT, "LZ4 block input must be a Buffer, Base64 or hex string");
                 }
-                
-                // Must start with { and end with } or ]
-                if (!text.trim().startsWith('{')) {
-                    return false;
+            } else if (!node.isLZ4Frame(candidate)) {
+                throw new errors.LZ4Error(errors.CODES.BAD_MAGIC, "Input is not an LZ4 frame (magic number 0x184D2204 not found)");
+            }
+            
+            return {operation: 'decompress', inputData: candidate};
+        };
+        
+        // Record batch decode mode: input must be binary (raw, base64 or hex)
+        node.prepareBatchDecompress = function(payload) {
+            const candidate = node.toBinary(payload);
+            
+            if (!candidate) {
+                throw new errors.LZ4Error(errors.CODES.INVALID_INPUT, "RecordBatch input must be a Buffer, Base64 or hex string");
+            }
+            
+            return {operation: 'batch-decompress', inputData: candidate};
+        };
+        
+        // Record batch encode mode: input must be an array of records
+        node.prepareBatchCompress = function(payload) {
+            if (!Array.isArray(payload)) {
+                throw new errors.LZ4Error(errors.CODES.INVALID_INPUT, "RecordBatch compression requires an array of records");
+            }
+            
+            return {operation: 'batch-compress', inputData: payload};
+        };
+        
+        // Interpret a payload as binary data: Buffer as is, strings as hex or Base64.
+        // The optional accept() check decides whether a hex decoding is kept.
+        node.toBinary = function(payload, accept) {
+            if (Buffer.isBuffer(payload)) {
+                return payload;
+            }
+            if (typeof payload !== 'string') {
+                return null;
+            }
+            
+            const text = payload.trim();
+            if (/^([0-9a-fA-F]{2})+$/.test(text)) {
+                const hexDecoded = Buffer.from(text, 'hex');
+                if (!accept || accept(hexDecoded)) {
+                    return hexDecoded;
                 }
-                
-                const trimmed = text.trim();
-                if (!trimmed.endsWith('}') && !trimmed.endsWith(']')) {
-                    return false;
+            }
+            return Buffer.from(text, 'base64');
+        };
+        
+        // Forced repair mode: clean the text without compressing or decompressing
+        node.prepareRepair = function(payload) {
+            let text;
+            let textCharset;
+            if (Buffer.isBuffer(payload)) {
+                // Binary input reports the charset it was decoded with
+                ({text, charset: textCharset} = node.decodeText(payload));
+            } else if (typeof payload === 'string') {
+                text = payload;
+            } else if (typeof payload === 'object') {
+                text = JSON.stringify(payload);
+            } else {
+                text = String(payload);
+            }
+            return {operation: 'cleanup', inputData: text, charset: textCharset};
+        };
+        
+        // Frame walk details for msg.lz4: the integrity report of the given frames
+        // (one report, or a summary with one report per frame), skippable frames and gaps
+        node.frameInfo = function(walk, frames) {
+            let integrity = frames[0].integrity;
+            if (frames.length > 1) {
+                const damaged = frames.find((decoded) => decoded.integrity.status === 'damaged');
+                integrity = {
+                    status: damaged ? 'damaged' : 'intact',
+                    frames: frames.map((decoded) => ({offset: decoded.offset, ...decoded.integrity}))
+                };
+                if (damaged) {
+                    integrity.error = damaged.integrity.error;
+                    integrity.errorCode = damaged.integrity.errorCode;
                 }
-                
-                // Check bracket balance
-                let braceCount = 0;
-                let bracketCount = 0;
-                let inString = false;
-                let escaped = false;
-                
-                for (let i = 0; i < trimmed.length; i++) {
-                    const char = trimmed[i];
-                    
-                    if (escaped) {
-                        escaped = false;
-                        continue;
-                    }
-                    
-                    if (char === '\\') {
-                        escaped = true;
-                        continue;
-                    }
-                    
-                    if (char === '"') {
-                        inString = !inString;
-                        continue;
-                    }
-                    
-                    if (!inString) {
-                        if (char === '{') braceCount++;
-                        else if (char === '}') braceCount--;
-                        else if (char === '[') bracketCount++;
-                        else if (char === ']') bracketCount--;
-                    }
+            }
+            
+            const info = {frameCount: walk.frames.length, integrity: integrity};
+            if (walk.skippable.length > 0) {
+                info.skippable = walk.skippable;
+            }
+            if (walk.gaps.length > 0) {
+                info.gaps = walk.gaps;
+            }
+            return info;
+        };
+        
+        // Warn about damaged frames and skipped bytes; returns true when anything was lost
+        node.reportDamage = function(walk) {
+            const damaged = walk.frames.filter((decoded) => decoded.integrity.status === 'damaged');
+            damaged.forEach(function(decoded) {
+                node.warn("LZ4 frame at byte " + decoded.offset + " damaged, salvaged " +
+                    decoded.integrity.salvagedBytes + " bytes: " + decoded.integrity.error);
+            });
+            
+            const skipped = walk.gaps.reduce((sum, entry) => sum + entry.length, 0);
+            if (skipped > 0) {
+                node.warn("Skipped " + skipped + " bytes outside LZ4 frames");
+            }
+            return damaged.length > 0 || skipped > 0;
+        };
+        
+        // Container details for msg.lz4: frame header variant, or block format
+        // (plus the uncompressed size a 'block-property' decoder will need)
+        node.containerInfo = function(framing, uncompressedSize) {
+            if (node.blockFormat === 'frame') {
+                return {framing: framing};
+            }
+            if (node.blockFormat === 'block-property' && uncompressedSize !== undefined) {
+                return {blockFormat: node.blockFormat, uncompressedSize: uncompressedSize};
+            }
+            return {blockFormat: node.blockFormat};
+        };
+        
+        // Decide whether compressed output should be kept.
+        // Called before compressing (ratio null) and again with the achieved ratio.
+        // Returns {compress: true|false|null, reason}; null means "compress and check the ratio".
+        node.compressionPolicy = function(mode, originalSize, ratio) {
+            if (mode === 'compress') {
+                return {compress: true, reason: 'forced'};
+            }
+            if (node.alwaysCompress) {
+                return {compress: true, reason: 'always'};
+            }
+            if (originalSize < node.compressMinSize) {
+                return {compress: false, reason: 'below_min_size'};
+            }
+            if (ratio === null) {
+                return {compress: null, reason: null};
+            }
+            if (ratio < node.compressMinRatio) {
+                return {compress: false, reason: 'below_min_ratio'};
+            }
+            return {compress: true, reason: 'ratio_ok'};
+        };
+        
+        // Compression settings for msg.lz4
+        node.compressionInfo = function() {
+            const info = {highCompression: node.frameOptions.highCompression};
+            if (node.blockFormat === 'frame') {
+                const {framing, highCompression, dictionary, ...frameOptions} = node.getFrameOptions();
+                info.frameOptions = frameOptions;
+                if (dictionary) {
+                    // Dictionary frames are always written by the fast compressor
+                    info.highCompression = false;
+                    info.frameOptions.dictionaryId = dictionary.id;
                 }
-                
-                // Brackets should be balanced
-                return braceCount === 0 && bracketCount === 0;
-                
+            }
+            return info;
+        };
+        
+        // Compress data into the configured container (LZ4 frame or raw block)
+        node.compressData = function(data) {
+            if (node.blockFormat !== 'frame') {
+                return block.encode(data, node.blockFormat, {highCompression: node.frameOptions.highCompression});
+            }
+            return frame.encode(data, node.getFrameOptions());
+        };
+        
+        // Frame descriptor options. Legacy Kafka 0.8/0.9 framing also uses the
+        // Java client layout (64KB blocks, no content checksum or size) and no dictionary.
+        node.getFrameOptions = function() {
+            if (node.legacyFraming) {
+                return {...node.frameOptions, ...frame.KAFKA_LZ4_OPTIONS, framing: 'legacy'};
+            }
+            return node.dictionary
+                ? {...node.frameOptions, dictionary: node.dictionary, framing: 'standard'}
+                : {...node.frameOptions, framing: 'standard'};
+        };
+        
+        // Format compressed output according to the configured output format
+        node.formatOutput = function(data) {
+            switch (node.outputFormat) {
+                case 'base64':
+                    return data.toString('base64');
+                case 'hex':
+                    return data.toString('hex');
+                case 'buffer':
+                default:
+                    return data;
+            }
+        };
+        
+        // Convert any payload to a Buffer for compression, encoding text in the configured charset
+        node.toBuffer = function(payload) {
+            if (Buffer.isBuffer(payload)) {
+                return payload;
+            }
+            if (typeof payload === 'string') {
+                return charset.encode(payload, node.charset);
+            }
+            if (typeof payload === 'object') {
+                return charset.encode(JSON.stringify(payload), node.charset);
+            }
+            return charset.encode(String(payload), node.charset);
+        };
+        
+        // Turn decompressed bytes into the output payload. Confluent framed data is decoded with
+        // its Avro schema, or stripped of its header for JSON Schema; everything else (and JSON
+        // Schema data) is decoded as text and goes through JSON recovery.
+        // Returns {payload, info} with the msg.lz4 fields describing the decoding.
+        node.decodeContent = function(data) {
+            let schemaInfo = {};
+            if (node.wireFormat === 'confluent' && confluent.isFramed(data)) {
+                const framed = confluent.unwrap(data);
+                const schema = node.findSchema(framed.schemaId);
+                schemaInfo = {schemaId: framed.schemaId, schemaType: schema.type};
+                if (schema.type === 'avro') {
+                    return {payload: avro.decode(schema.avro, data, confluent.HEADER_SIZE), info: schemaInfo};
+                }
+                data = framed.data;
+            }
+            
+            const text = node.decodeText(data);
+            const content = node.repairText(text.text);
+            return {payload: content.payload, info: {...schemaInfo, charset: text.charset, ...content.info}};
+        };
+        
+        // Repair text as one JSON document, or split it into the records of the record format
+        // (info.records holds one report per record, see recordMessages)
+        node.repairText = function(text) {
+            if (node.recordFormat !== 'json') {
+                const split = node.splitRecords(text);
+                return {
+                    payload: split.records.map((record) => record.payload),
+                    info: {
+                        recordFormat: node.recordFormat,
+                        recordCount: split.records.length,
+                        records: split.records.map((record) => record.info),
+                        ...(split.repairs.length > 0 ? {batchRepairs: split.repairs} : {})
+                    }
+                };
+            }
+            
+            const repaired = node.processCorruptedData(text);
+            return {payload: repaired.payload, info: node.repairInfo(repaired)};
+        };
+        
+        // Content of several concatenated frames. They may hold one document each, which
+        // single-document recovery would cut down to the first, so the joined text is only
+        // parsed when it is valid JSON as a whole and kept unrepaired otherwise (strict mode fails).
+        node.decodeJoinedContent = function(data) {
+            if (node.recordFormat !== 'json' || (node.wireFormat === 'confluent' && confluent.isFramed(data))) {
+                return node.decodeContent(data);
+            }
+            
+            const text = node.decodeText(data);
+            if (node.strict) {
+                // Valid JSON only, as for a single frame
+                return {payload: node.processCorruptedData(text.text).payload, info: {charset: text.charset, repairs: []}};
+            }
+            let payload = text.text;
+            try {
+                payload = JSON.parse(text.text);
             } catch (error) {
-                return false;
+                // Several documents or damaged text - returned as is
+            }
+            return {payload: payload, info: {charset: text.charset, repairs: []}};
+        };
+        
+        // Split text into the records of the record format, each repaired on its own.
+        // Returns {records: [{payload, info}], repairs} where info holds the record's index,
+        // line and repairs, and repairs lists changes to the batch as a whole (JSON arrays).
+        node.splitRecords = function(text) {
+            switch (node.recordFormat) {
+                case 'ndjson':
+                    return {
+                        records: records.splitLines(text).map((line, index) => node.repairRecord(line.text, index, line.line)),
+                        repairs: []
+                    };
+                case 'csv':
+                    return {records: node.parseCsvRecords(text), repairs: []};
+                default:
+                    return node.splitArray(text);
             }
         };
         
-        // Try to parse JSON with multiple attempts
-        node.tryParseJson = function(text) {
-            if (!text || typeof text !== 'string') return null;
+        node.repairRecord = function(text, index, line) {
+            try {
+                const repaired = node.processCorruptedData(text);
+                return {payload: repaired.payload, info: {record: index, line: line, ...node.repairInfo(repaired)}};
+            } catch (error) {
+                const failure = errors.classify(error, 'repair');
+                throw new errors.LZ4Error(failure.code, "Record " + index + " (line " + line + "): " + failure.message,
+                    {stage: failure.stage, offset: failure.offset});
+            }
+        };
+        
+        // CSV rows as objects keyed by the header row. Values stay strings; missing values are
+        // null and values beyond the header are dropped.
+        node.parseCsvRecords = function(text) {
+            const rows = records.parseCsv(text);
+            const header = rows.length > 0 ? rows.shift().fields.map((name) => node.removeGarbage(name).trim()) : [];
             
-            const attempts = [
-                // Direct parsing
-                () => JSON.parse(text),
-                
-                // Fix common issues
-                () => {
-                    let fixed = text
-                        .replace(/,(\s*[}\]])/g, '$1')  // trailing commas
-                        .replace(/([{,]\s*)([a-zA-Z_][a-zA-Z0-9_]*)\s*:/g, '$1"$2":')  // unquoted keys
-                        .replace(/'/g, '"')  // single to double quotes
-                        .trim();
-                    return JSON.parse(fixed);
-                },
+            return rows.map(function(row, index) {
+                const repairs = [];
+                const value = {};
+                let garbage = 0;
+                header.forEach(function(column, i) {
+                    const field = row.fields[i];
+                    if (field === undefined) {
+                        value[column] = null;
+                        return;
+                    }
+                    garbage += (field.match(node.garbagePattern) || []).length;
+                    value[column] = node.removeGarbage(field);
+                });
                 
-                // Extract JSON from mixed content
-                () => {
-                    const match = text.match(/{.*}/s);
-                    return match ? JSON.parse(match[0]) : null;
+                if (garbage > 0) {
+                    repairs.push({stage: 'clean', type: 'garbage_removed', count: garbage});
+                }
+                if (row.fields.length < header.length) {
+                    repairs.push({stage: 'csv', type: 'missing_fields', count: header.length - row.fields.length});
+                }
+                if (row.fields.length > header.length) {
+                    repairs.push({stage: 'csv', type: 'extra_fields', count: row.fields.length - header.length});
+                }
+                if (row.unterminated) {
+                    repairs.push({stage: 'csv', type: 'unterminated_quote'});
+                }
+                if (node.strict && repairs.length > 0) {
+                    throw new errors.LZ4Error(errors.CODES.INVALID_INPUT,
+                        "Strict mode: CSV record " + index + " (line " + row.line + ") needs repair: " + repairs[0].type,
+                        {stage: 'repair'});
+                }
+                return {payload: value, info: {record: index, line: row.line, repairs: repairs}};
+            });
+        };
+        
+        // Repair a JSON array as a whole, then give each element the repairs made inside it
+        node.splitArray = function(text) {
+            const repaired = node.processCorruptedData(text);
+            if (!Array.isArray(repaired.payload)) {
+                return {records: [{payload: repaired.payload, info: {record: 0, ...node.repairInfo(repaired)}}], repairs: []};
+            }
+            
+            const batchRepairs = [];
+            const items = repaired.payload.map((payload) => ({payload: payload, repairs: [], dropped: [], synthesized: []}));
+            repaired.repairs.forEach(function(repair) {
+                const element = elementPath(repair.path);
+                if (element && items[element.index]) {
+                    items[element.index].repairs.push({...repair, path: element.path});
+                } else {
+                    batchRepairs.push(repair);
                 }
-            ];
+            });
+            if (repaired.recovery) {
+                ['dropped', 'synthesized'].forEach(function(list) {
+                    repaired.recovery[list].forEach(function(path) {
+                        const element = elementPath(path);
+                        if (element && items[element.index]) {
+                            items[element.index][list].push(element.path);
+                        }
+                    });
+                });
+            }
             
-            for (const attempt of attempts) {
+            return {
+                records: items.map((item, index) => ({
+                    payload: item.payload,
+                    info: {
+                        record: index,
+                        repairs: item.repairs,
+                        recovery: {
+                            complete: item.repairs.length === 0,
+                            recovered: true,
+                            dropped: item.dropped,
+                            synthesized: item.synthesized
+                        }
+                    }
+                })),
+                repairs: batchRepairs
+            };
+        };
+        
+        // One message per record of record-format output (msg.lz4.records), numbered with
+        // msg.parts so a Join node can rebuild the batch. Other messages pass through.
+        node.recordMessages = function(msgs) {
+            const partsId = RED.util.generateId();
+            const recordMsgs = [];
+            msgs.forEach(function(batchMsg) {
+                const {records: recordInfos, ...info} = batchMsg.lz4;
+                if (!recordInfos) {
+                    recordMsgs.push(batchMsg);
+                    return;
+                }
+                recordInfos.forEach(function(recordInfo, i) {
+                    recordMsgs.push({...batchMsg, payload: batchMsg.payload[i], lz4: {...info, ...recordInfo}});
+                });
+            });
+            
+            recordMsgs.forEach(function(recordMsg, index) {
+                recordMsg.parts = {id: partsId, index: index, count: recordMsgs.length, type: 'array'};
+            });
+            return recordMsgs;
+        };
+        
+        // Schema from the configured schema source
+        node.findSchema = function(schemaId) {
+            if (!node.schemaStore) {
+                throw new errors.LZ4Error(errors.CODES.UNKNOWN_SCHEMA,
+                    "Unknown schema ID " + schemaId + " (no schema source configured)");
+            }
+            return node.schemaStore.get(schemaId);
+        };
+        
+        // Schema ID to encode with: msg.lz4.schemaId, else the configured one (null for none)
+        node.findSchemaId = function(msg) {
+            const schemaId = msg.lz4 && msg.lz4.schemaId !== undefined ? msg.lz4.schemaId : node.schemaId;
+            if (schemaId !== null && !(Number.isInteger(schemaId) && schemaId >= 0 && schemaId <= 0xFFFFFFFF)) {
+                throw new errors.LZ4Error(errors.CODES.INVALID_INPUT, "Invalid schema ID: " + schemaId);
+            }
+            return schemaId;
+        };
+        
+        // Decode text in the configured charset; a BOM overrides it and 'auto' sniffs the data.
+        // Returns {text, charset} with the charset actually used.
+        node.decodeText = function(data) {
+            return charset.decode(data, node.charset);
+        };
+        
+        // Process corrupted data (unified function for cleanup, decompression, and compression).
+        // Returns the repaired payload, the list of repairs applied and the JSON recovery
+        // report (null when no JSON was found). Strict mode only accepts valid JSON.
+        node.processCorruptedData = function(data) {
+            if (node.strict) {
                 try {
-                    const result = attempt();
-                    if (result !== null) return result;
-                } catch (e) {
-                    continue;
+                    return {payload: JSON.parse(data), recovery: null, repairs: []};
+                } catch (error) {
+                    throw new errors.LZ4Error(errors.CODES.JSON_UNRECOVERABLE,
+                        "Strict mode: payload is not valid JSON (" + error.message + ")",
+                        {stage: 'repair', offset: errors.findOffset(error.message)});
                 }
             }
             
-            return null;
+            const repairs = [];
+            try {
+                const cleanText = node.cleanDecompressedText(data, repairs);
+                const recovery = node.recoverJson(cleanText);
+                if (recovery.value !== undefined) {
+                    recovery.repairs.forEach(function(repair) {
+                        repairs.push({stage: 'json', ...repair});
+                    });
+                    return {payload: recovery.value, recovery: recovery, repairs: repairs};
+                }
+                // Nothing recovered: the cleaned text goes out, reported as unrecoverable
+                return {payload: cleanText, recovery: recovery, repairs: repairs};
+            } catch (error) {
+                return {payload: data, recovery: null, repairs: []};
+            }
+        };
+        
+        // Check whether text contains characters from the garbage classes
+        node.hasGarbage = function(text) {
+            node.garbagePattern.lastIndex = 0;
+            const found = node.garbagePattern.test(text);
+            node.garbagePattern.lastIndex = 0;
+            return found;
+        };
+        
+        // Remove characters from the garbage classes
+        node.removeGarbage = function(text) {
+            return text.replace(node.garbagePattern, '');
         };
         
-        node.on('close', function() {
+        // Text cleanup function. Each change is appended to the optional repairs list
+        // (offsets refer to the text as it was before that step).
+        node.cleanDecompressedText = function(text, repairs) {
+            repairs = repairs || [];
+            
+            // 1. Remove garbage characters (control characters, U+FFFD, unpaired surrogates by default)
+            const garbageOffsets = [];
+            node.garbagePattern.lastIndex = 0;
+            let match;
+            while ((match = node.garbagePattern.exec(text)) !== null) {
+                garbageOffsets.push(match.index);
+            }
+            let cleaned = node.removeGarbage(text);
+            if (garbageOffsets.length > 0) {
+                repairs.push({
+                    stage: 'clean',
+                    type: 'garbage_removed',
+                    count: garbageOffsets.length,
+                    offsets: garbageOffsets.slice(0, MAX_REPAIR_OFFSETS)
+                });
+            }
+            
+            // 2. Clean up consecutive whitespace
+            let collapsed = 0;
+            cleaned = cleaned.replace(/\s+/g, function(whitespace) {
+                if (whitespace !== ' ') {
+                    collapsed++;
+                }
+                return ' ';
+            });
+            if (collapsed > 0) {
+                repairs.push({stage: 'clean', type: 'whitespace_collapsed', count: collapsed});
+            }
+            
+            const trimmed = cleaned.trim();
+            if (trimmed.length !== cleaned.length) {
+                repairs.push({stage: 'clean', type: 'trimmed', count: cleaned.length - trimmed.length});
+            }
+            return trimmed;
+        };
+        
+        // JSON recovery: error-tolerant parse that keeps the largest valid structure
+        node.recoverJson = function(text) {
+            return jsonRecovery.recover(text);
+        };
+        
+        // Repair audit trail and recovery summary for msg.lz4
+        node.repairInfo = function(repaired) {
+            const info = {repairs: repaired.repairs};
+            if (repaired.recovery && repaired.recovery.value === undefined) {
+                info.recovery = {
+                    complete: false,
+                    recovered: false,
+                    dropped: [],
+                    synthesized: [],
+                    error: new errors.LZ4Error(errors.CODES.JSON_UNRECOVERABLE,
+                        "No JSON could be recovered: " + repaired.recovery.error, {stage: 'repair'}).toJSON()
+                };
+            } else if (repaired.recovery) {
+                info.recovery = {
+                    complete: repaired.recovery.complete,
+                    recovered: true,
+                    dropped: repaired.recovery.dropped,
+                    synthesized: repaired.recovery.synthesized
+                };
+            }
+            return info;
+        };
+        
+        node.on('close', function(done) {
+            statsNodes.delete(node.id);
+            clearInterval(node.metricsTimer);
+            node.pendingParts.forEach((pending) => clearTimeout(pending.timer));
+            node.pendingParts.clear();
+            node.inFlight = [];
             node.status({});
+            if (node.pool) {
+                node.pool.close().then(() => done(), () => done());
+            } else {
+                done();
+            }
         });
     }
     
     RED.nodes.registerType("kafka-lz4", KafkaLZ4Node);
+    
+    // Statistics as JSON (an array, or one object for a single node), or in the
+    // Prometheus text format with ?format=prometheus
+    function sendStats(req, res, nodes, single) {
+        if (req.query.format === 'prometheus') {
+            const entries = nodes.map((node) => ({labels: {node: node.id, name: node.name || ''}, stats: node.stats}));
+            res.set('Content-Type', 'text/plain; version=0.0.4').send(stats.toPrometheus(entries));
+        } else {
+            const list = nodes.map((node) => ({id: node.id, name: node.name || '', ...node.stats.toJSON()}));
+            res.json(single ? list[0] : list);
+        }
+    }
+    
+    RED.httpAdmin.get('/kafka-lz4/stats', RED.auth.needsPermission('kafka-lz4.read'), function(req, res) {
+        sendStats(req, res, Array.from(statsNodes.values()));
+    });
+    
+    // Decode preview for the edit dialog: the pasted data goes through a copy of the node built
+    // from the dialog's settings, in a worker thread, so nothing has to be deployed. Files are
+    // never named by the request: the dictionary is the one loaded by the deployed node (body.id).
+    RED.httpAdmin.post('/kafka-lz4/preview', RED.auth.needsPermission('kafka-lz4.write'), function(req, res) {
+        const body = req.body || {};
+        const config = {...body.config, id: 'preview', messageShape: 'payload', workerThreshold: 0, metricsInterval: 0,
+            dictionary: '', dictionaryId: ''};
+        config.maxDecompressedSize = Math.min(parseInt(config.maxDecompressedSize, 10) || PREVIEW_MAX_SIZE, PREVIEW_MAX_SIZE);
+        
+        let payload;
+        try {
+            payload = previewInput(body.data, body.encoding);
+        } catch (e) {
+            res.status(400).json({error: {code: errors.CODES.INVALID_INPUT, message: e.message}});
+            return;
+        }
+        
+        const schemaSource = RED.nodes.getNode(config.schemas);
+        const deployed = statsNodes.get(body.id);
+        if (!previewPool) {
+            previewPool = new WorkerPool(1, {config: {id: 'preview'}, schemas: null, dictionary: null}, {unref: true});
+        }
+        const started = performance.now();
+        previewPool.run({
+            msg: {payload: payload},
+            mode: MODES.indexOf(config.mode) !== -1 ? config.mode : 'auto',
+            kafka: false,
+            config: config,
+            schemas: schemaSource ? schemaSource.options : null,
+            dictionary: deployed ? deployed.dictionary : null
+        })
+            .then(function(reply) {
+                const results = Array.isArray(reply.result) ? reply.result[0] : (reply.result ? [reply.result] : []);
+                const statuses = reply.events.filter((event) => event.type === 'status');
+                res.json({
+                    inputSize: payload.length,
+                    processingTime: Math.round((performance.now() - started) * 1000) / 1000,
+                    status: statuses.length > 0 ? statuses[statuses.length - 1].value : null,
+                    warnings: reply.events.filter((event) => event.type === 'warn').map((event) => event.value),
+                    error: reply.error || null,
+                    count: results.length,
+                    results: results.slice(0, PREVIEW_MAX_RESULTS).map(previewMessage)
+                });
+            }, function(error) {
+                res.status(500).json({error: {code: errors.CODES.OPERATION_FAILED, message: error.message}});
+            });
+    });
+    
+    RED.httpAdmin.get('/kafka-lz4/:id/stats', RED.auth.needsPermission('kafka-lz4.read'), function(req, res) {
+        const node = statsNodes.get(req.params.id);
+        if (!node) {
+            res.status(404).json({error: "Unknown kafka-lz4 node: " + req.params.id});
+            return;
+        }
+        sendStats(req, res, [node], true);
+    });
+    
+    // Schema source for the Confluent wire format: a directory of <id>.avsc / <id>.json
+    // files and/or inline schemas keyed by schema ID
+    function KafkaLZ4SchemasNode(config) {
+        RED.nodes.createNode(this, config);
+        let schemas = {};
+        try {
+            schemas = config.schemas ? JSON.parse(config.schemas) : {};
+        } catch (e) {
+            this.error("Inline schemas are not valid JSON: " + e.message);
+        }
+        // Options are kept for the worker threads, which build their own store
+        this.options = {directory: (config.directory || '').trim(), schemas: schemas};
+        this.store = new confluent.SchemaStore(this.options);
+    }
+    
+    RED.nodes.registerType("kafka-lz4-schemas", KafkaLZ4SchemasNode);
 };
\ No newline at end of file
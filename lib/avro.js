@@ -0,0 +1,361 @@
+// Avro binary encoding (https://avro.apache.org/docs/current/specification/), enough to
+// decode and encode single datums with a known schema. Unions map to plain values and
+// logical types are returned as their underlying type.
+
+const errors = require('./errors');
+
+const PRIMITIVES = ['null', 'boolean', 'int', 'long', 'float', 'double', 'bytes', 'string'];
+
+function fullName(name, namespace) {
+    return name.indexOf('.') !== -1 || !namespace ? name : namespace + '.' + name;
+}
+
+function namespaceOf(name) {
+    const dot = name.lastIndexOf('.');
+    return dot === -1 ? null : name.slice(0, dot);
+}
+
+// Resolve a schema (parsed JSON) into a type tree. Named types are registered in
+// names so they can be referenced, also recursively, by their full or short name.
+function resolve(schema, namespace, names) {
+    if (typeof schema === 'string') {
+        return PRIMITIVES.indexOf(schema) !== -1 ? {type: schema} : {type: 'ref', name: fullName(schema, namespace)};
+    }
+    if (Array.isArray(schema)) {
+        return {type: 'union', types: schema.map((branch) => resolve(branch, namespace, names))};
+    }
+    if (!schema || typeof schema !== 'object') {
+        throw new errors.LZ4Error(errors.CODES.INVALID_INPUT, "Invalid Avro schema: " + JSON.stringify(schema));
+    }
+
+    switch (schema.type) {
+        case 'record':
+        case 'error': {
+            const name = fullName(schema.name, schema.namespace || namespace);
+            const type = {type: 'record', name: name, fields: []};
+            names[name] = type;
+            if (!Array.isArray(schema.fields)) {
+                throw new errors.LZ4Error(errors.CODES.INVALID_INPUT,
+                    "Invalid Avro schema: record " + name + " has no fields");
+            }
+            type.fields = schema.fields.map((field) => ({
+                name: field.name,
+                type: resolve(field.type, namespaceOf(name), names),
+                hasDefault: field.default !== undefined,
+                default: field.default
+            }));
+            return type;
+        }
+        case 'enum': {
+            const name = fullName(schema.name, schema.namespace || namespace);
+            names[name] = {type: 'enum', name: name, symbols: schema.symbols || []};
+            return names[name];
+        }
+        case 'fixed': {
+            const name = fullName(schema.name, schema.namespace || namespace);
+            names[name] = {type: 'fixed', name: name, size: schema.size};
+            return names[name];
+        }
+        case 'array':
+            return {type: 'array', items: resolve(schema.items, namespace, names)};
+        case 'map':
+            return {type: 'map', values: resolve(schema.values, namespace, names)};
+        default:
+            // Primitive with attributes (e.g. a logical type) or a wrapped type reference
+            return resolve(schema.type, namespace, names);
+    }
+}
+
+// Parse a schema (parsed JSON) for decode() and encode()
+function parse(schema) {
+    const names = {};
+    return {root: resolve(schema, null, names), names: names};
+}
+
+function lookup(type, names) {
+    if (type.type !== 'ref') {
+        return type;
+    }
+    const shortName = type.name.slice(type.name.lastIndexOf('.') + 1);
+    const named = names[type.name] || names[shortName] ||
+        names[Object.keys(names).find((name) => name.slice(name.lastIndexOf('.') + 1) === shortName)];
+    if (!named) {
+        throw new errors.LZ4Error(errors.CODES.INVALID_INPUT, "Invalid Avro schema: unknown type " + type.name);
+    }
+    return named;
+}
+
+// Sequential reader for Avro binary data
+function Reader(buffer, pos) {
+    this.buffer = buffer;
+    this.pos = pos || 0;
+}
+
+Reader.prototype.ensure = function(n) {
+    if (n < 0 || this.pos + n > this.buffer.length) {
+        throw new errors.LZ4Error(errors.CODES.SCHEMA_MISMATCH, "Avro data truncated at byte " + this.pos);
+    }
+};
+
+// Zig-zag varint (int and long share the encoding), returned as a Number
+Reader.prototype.readLong = function() {
+    let value = 0;
+    let multiplier = 1;
+    for (let i = 0; i < 10; i++) {
+        this.ensure(1);
+        const byte = this.buffer[this.pos++];
+        value += (byte & 0x7F) * multiplier;
+        if ((byte & 0x80) === 0) {
+            return value % 2 === 0 ? value / 2 : -(value + 1) / 2;
+        }
+        multiplier *= 128;
+    }
+    throw new errors.LZ4Error(errors.CODES.SCHEMA_MISMATCH, "Avro varint too long at byte " + this.pos);
+};
+
+Reader.prototype.readFixed = function(size) {
+    this.ensure(size);
+    const bytes = this.buffer.slice(this.pos, this.pos + size);
+    this.pos += size;
+    return bytes;
+};
+
+Reader.prototype.readBytes = function() {
+    return this.readFixed(this.readLong());
+};
+
+// Arrays and maps are written as blocks; a negative count is followed by the block size
+Reader.prototype.readBlocks = function(readItem) {
+    let count = this.readLong();
+    while (count !== 0) {
+        if (count < 0) {
+            count = -count;
+            this.readLong();
+        }
+        for (let i = 0; i < count; i++) {
+            readItem();
+        }
+        count = this.readLong();
+    }
+};
+
+function read(type, reader, names) {
+    const start = reader.pos;
+    switch (type.type) {
+        case 'null':
+            return null;
+        case 'boolean':
+            reader.ensure(1);
+            return reader.buffer[reader.pos++] !== 0;
+        case 'int':
+        case 'long':
+            return reader.readLong();
+        case 'float':
+            return reader.readFixed(4).readFloatLE(0);
+        case 'double':
+            return reader.readFixed(8).readDoubleLE(0);
+        case 'bytes':
+            return Buffer.from(reader.readBytes());
+        case 'string':
+            return reader.readBytes().toString('utf8');
+        case 'fixed':
+            return Buffer.from(reader.readFixed(type.size));
+        case 'record': {
+            const record = {};
+            type.fields.forEach(function(field) {
+                record[field.name] = read(field.type, reader, names);
+            });
+            return record;
+        }
+        case 'enum': {
+            const index = reader.readLong();
+            if (index < 0 || index >= type.symbols.length) {
+                throw new errors.LZ4Error(errors.CODES.SCHEMA_MISMATCH,
+                    "Avro enum " + type.name + " index " + index + " out of range at byte " + start);
+            }
+            return type.symbols[index];
+        }
+        case 'array': {
+            const items = [];
+            reader.readBlocks(() => items.push(read(type.items, reader, names)));
+            return items;
+        }
+        case 'map': {
+            const map = {};
+            reader.readBlocks(function() {
+                const key = reader.readBytes().toString('utf8');
+                map[key] = read(type.values, reader, names);
+            });
+            return map;
+        }
+        case 'union': {
+            const index = reader.readLong();
+            if (index < 0 || index >= type.types.length) {
+                throw new errors.LZ4Error(errors.CODES.SCHEMA_MISMATCH,
+                    "Avro union index " + index + " out of range at byte " + start);
+            }
+            return read(type.types[index], reader, names);
+        }
+        default:
+            return read(lookup(type, names), reader, names);
+    }
+}
+
+// Decode one datum starting at byte start. The datum must end exactly at the end of
+// the buffer; leftover bytes mean the data was written with a different schema.
+function decode(parsed, buffer, start) {
+    const reader = new Reader(buffer, start);
+    const value = read(parsed.root, reader, parsed.names);
+    if (reader.pos !== buffer.length) {
+        throw new errors.LZ4Error(errors.CODES.SCHEMA_MISMATCH,
+            "Avro data has " + (buffer.length - reader.pos) + " bytes left over at byte " + reader.pos);
+    }
+    return value;
+}
+
+function writeLong(value, out) {
+    let raw = value >= 0 ? value * 2 : -value * 2 - 1;
+    while (raw >= 0x80) {
+        out.push((raw % 128) | 0x80);
+        raw = Math.floor(raw / 128);
+    }
+    out.push(raw);
+}
+
+function writeBytes(bytes, out) {
+    writeLong(bytes.length, out);
+    for (let i = 0; i < bytes.length; i++) {
+        out.push(bytes[i]);
+    }
+}
+
+function isObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value) && !Buffer.isBuffer(value);
+}
+
+// Whether a value can be written as the type (used to pick a union branch)
+function matches(type, value, names) {
+    type = lookup(type, names);
+    switch (type.type) {
+        case 'null':
+            return value === null || value === undefined;
+        case 'boolean':
+            return typeof value === 'boolean';
+        case 'int':
+        case 'long':
+            return Number.isInteger(value);
+        case 'float':
+        case 'double':
+            return typeof value === 'number';
+        case 'bytes':
+            return Buffer.isBuffer(value);
+        case 'fixed':
+            return Buffer.isBuffer(value) && value.length === type.size;
+        case 'string':
+            return typeof value === 'string';
+        case 'enum':
+            return type.symbols.indexOf(value) !== -1;
+        case 'array':
+            return Array.isArray(value);
+        case 'map':
+            return isObject(value);
+        case 'record':
+            return isObject(value) &&
+                type.fields.every((field) => field.hasDefault || value[field.name] !== undefined || matches(field.type, null, names));
+        default:
+            return false;
+    }
+}
+
+function write(type, value, out, names, path) {
+    type = lookup(type, names);
+    // Records are checked field by field so the error names the field
+    const valid = type.type === 'record' ? isObject(value) : type.type === 'union' || matches(type, value, names);
+    if (!valid) {
+        throw new errors.LZ4Error(errors.CODES.SCHEMA_MISMATCH,
+            "Avro value at " + path + " does not match type " + (type.name || type.type));
+    }
+
+    switch (type.type) {
+        case 'null':
+            return;
+        case 'boolean':
+            out.push(value ? 1 : 0);
+            return;
+        case 'int':
+        case 'long':
+            writeLong(value, out);
+            return;
+        case 'float':
+        case 'double': {
+            const bytes = Buffer.alloc(type.type === 'float' ? 4 : 8);
+            if (type.type === 'float') {
+                bytes.writeFloatLE(value, 0);
+            } else {
+                bytes.writeDoubleLE(value, 0);
+            }
+            bytes.forEach((byte) => out.push(byte));
+            return;
+        }
+        case 'bytes':
+            writeBytes(value, out);
+            return;
+        case 'string':
+            writeBytes(Buffer.from(value, 'utf8'), out);
+            return;
+        case 'fixed':
+            value.forEach((byte) => out.push(byte));
+            return;
+        case 'enum':
+            writeLong(type.symbols.indexOf(value), out);
+            return;
+        case 'record':
+            type.fields.forEach(function(field) {
+                const fieldValue = value[field.name] === undefined && field.hasDefault ? field.default : value[field.name];
+                write(field.type, fieldValue === undefined ? null : fieldValue, out, names, path + '.' + field.name);
+            });
+            return;
+        case 'array':
+            if (value.length > 0) {
+                writeLong(value.length, out);
+                value.forEach((item, i) => write(type.items, item, out, names, path + '[' + i + ']'));
+            }
+            out.push(0);
+            return;
+        case 'map': {
+            const keys = Object.keys(value);
+            if (keys.length > 0) {
+                writeLong(keys.length, out);
+                keys.forEach(function(key) {
+                    writeBytes(Buffer.from(key, 'utf8'), out);
+                    write(type.values, value[key], out, names, path + '.' + key);
+                });
+            }
+            out.push(0);
+            return;
+        }
+        case 'union': {
+            const index = type.types.findIndex((branch) => matches(branch, value, names));
+            if (index === -1) {
+                throw new errors.LZ4Error(errors.CODES.SCHEMA_MISMATCH,
+                    "Avro value at " + path + " matches no branch of its union");
+            }
+            writeLong(index, out);
+            write(type.types[index], value, out, names, path);
+            return;
+        }
+    }
+}
+
+// Encode one datum
+function encode(parsed, value) {
+    const out = [];
+    write(parsed.root, value, out, parsed.names, '$');
+    return Buffer.from(out);
+}
+
+module.exports = {
+    parse: parse,
+    decode: decode,
+    encode: encode
+};
@@ -0,0 +1,90 @@
+// Raw LZ4 block helpers (no frame header)
+const lz4 = require('lz4');
+const errors = require('./errors');
+
+const PREFIX_SIZE = 4;
+
+// Block formats: 4-byte uncompressed size prefix (little/big endian),
+// size supplied out of band, or decoded into a fixed upper bound
+const FORMATS = ['block-le', 'block-be', 'block-property', 'block-bound'];
+
+// Compress data into a raw block, adding the size prefix when the format has one.
+// options.highCompression selects LZ4 HC.
+function encode(data, format, options) {
+    const compress = options && options.highCompression ? lz4.encodeBlockHC : lz4.encodeBlock;
+    const output = Buffer.alloc(lz4.encodeBound(data.length));
+    const compressedSize = compress(data, output);
+    if (compressedSize <= 0) {
+        throw new errors.LZ4Error(errors.CODES.OPERATION_FAILED, "LZ4 block compression failed");
+    }
+
+    const block = output.slice(0, compressedSize);
+    if (format !== 'block-le' && format !== 'block-be') {
+        return block;
+    }
+
+    const prefix = Buffer.alloc(PREFIX_SIZE);
+    if (format === 'block-le') {
+        prefix.writeUInt32LE(data.length, 0);
+    } else {
+        prefix.writeUInt32BE(data.length, 0);
+    }
+    return Buffer.concat([prefix, block]);
+}
+
+// Decompress a raw block.
+// options.size: uncompressed size for 'block-property'
+// options.bound: maximum accepted uncompressed size
+// options.maxSize: decompressed size guard, also lowering the bound of 'block-bound'
+function decode(buffer, format, options) {
+    options = options || {};
+    const bound = options.maxSize && options.bound ? Math.min(options.bound, options.maxSize) : options.bound || options.maxSize;
+    let block = buffer;
+    let expectedSize = null;
+
+    if (format === 'block-le' || format === 'block-be') {
+        if (buffer.length <= PREFIX_SIZE) {
+            throw new errors.LZ4Error(errors.CODES.TRUNCATED_FRAME,
+                "LZ4 block truncated: missing size prefix", {offset: buffer.length});
+        }
+        expectedSize = format === 'block-le' ? buffer.readUInt32LE(0) : buffer.readUInt32BE(0);
+        block = buffer.slice(PREFIX_SIZE);
+    } else if (format === 'block-property') {
+        expectedSize = Number(options.size);
+        if (!Number.isInteger(expectedSize) || expectedSize < 0) {
+            throw new errors.LZ4Error(errors.CODES.INVALID_INPUT,
+                "LZ4 block uncompressed size is missing or invalid: " + options.size);
+        }
+    } else if (format !== 'block-bound') {
+        throw new errors.LZ4Error(errors.CODES.INVALID_INPUT, "Unknown LZ4 block format: " + format);
+    }
+
+    if (expectedSize !== null && options.maxSize && expectedSize > options.maxSize) {
+        throw new errors.LZ4Error(errors.CODES.SIZE_LIMIT,
+            "LZ4 block uncompressed size " + expectedSize + " exceeds the limit of " + options.maxSize + " bytes");
+    }
+    if (expectedSize !== null && bound && expectedSize > bound) {
+        throw new errors.LZ4Error(errors.CODES.BAD_BLOCK,
+            "LZ4 block uncompressed size " + expectedSize + " exceeds limit " + bound);
+    }
+
+    const output = Buffer.alloc(expectedSize !== null ? expectedSize : bound);
+    const decodedSize = lz4.decodeBlock(block, output);
+    if (decodedSize < 0) {
+        throw new errors.LZ4Error(errors.CODES.BAD_BLOCK,
+            "Invalid LZ4 block data at byte " + (-decodedSize), {offset: -decodedSize});
+    }
+    if (expectedSize !== null && decodedSize !== expectedSize) {
+        throw new errors.LZ4Error(errors.CODES.BAD_BLOCK,
+            "LZ4 block size mismatch: expected " + expectedSize + ", got " + decodedSize);
+    }
+
+    // A bound-sized output is mostly unused: copy the data out so the bound is not kept alive
+    return expectedSize !== null ? output.slice(0, decodedSize) : Buffer.from(output.slice(0, decodedSize));
+}
+
+module.exports = {
+    FORMATS: FORMATS,
+    encode: encode,
+    decode: decode
+};
@@ -0,0 +1,192 @@
+// Text decoding and encoding for payloads in legacy charsets (EUC-KR, Shift_JIS, UTF-16)
+const errors = require('./errors');
+
+// Charsets offered in the editor; 'auto' sniffs the data
+const CHARSETS = ['utf-8', 'auto', 'utf-16le', 'utf-16be', 'euc-kr', 'shift_jis'];
+
+// Byte order marks take precedence over the configured charset
+const BOMS = [
+    {charset: 'utf-8', bytes: [0xEF, 0xBB, 0xBF]},
+    {charset: 'utf-16le', bytes: [0xFF, 0xFE]},
+    {charset: 'utf-16be', bytes: [0xFE, 0xFF]}
+];
+
+// Double-byte ranges ([lead from, lead to, trail from, trail to]) holding the characters
+// real text mostly uses. The rest of each code space overlaps with the other charset.
+const COMMON_RANGES = {
+    'euc-kr': [[0xB0, 0xC8, 0xA1, 0xFE]],                   // KS X 1001 Hangul syllables
+    'shift_jis': [[0x82, 0x83, 0x40, 0xFC],                 // hiragana, katakana
+        [0x88, 0x9F, 0x40, 0xFC], [0xE0, 0xEA, 0x40, 0xFC]] // JIS level 1 and 2 kanji
+};
+
+// Byte sequences each legacy charset can encode, used to build its encoder table
+const CODE_SPACES = {
+    'euc-kr': {lead: [0x81, 0xFE], trail: [0x41, 0xFE]},
+    'shift_jis': {single: [0xA1, 0xDF], lead: [0x81, 0xFC], trail: [0x40, 0xFC]}
+};
+
+// Encoder tables (character -> bytes), built on first use
+const encodeTables = {};
+
+function sniffBom(buffer) {
+    return BOMS.find((bom) => bom.bytes.every((byte, i) => buffer[i] === byte)) || null;
+}
+
+// Decoded text, or null when the data is not valid in the charset
+function tryDecode(buffer, charset) {
+    try {
+        return new TextDecoder(charset, {fatal: true}).decode(buffer);
+    } catch (e) {
+        return null;
+    }
+}
+
+// UTF-16 text with Latin content has a zero byte in every other position
+function detectUtf16(buffer) {
+    if (buffer.length < 2 || buffer.length % 2 !== 0) {
+        return null;
+    }
+    let evenZeros = 0;
+    let oddZeros = 0;
+    for (let i = 0; i < buffer.length; i += 2) {
+        evenZeros += buffer[i] === 0 ? 1 : 0;
+        oddZeros += buffer[i + 1] === 0 ? 1 : 0;
+    }
+    const pairs = buffer.length / 2;
+    if (oddZeros > pairs * 0.3 && evenZeros < pairs * 0.05) {
+        return 'utf-16le';
+    }
+    if (evenZeros > pairs * 0.3 && oddZeros < pairs * 0.05) {
+        return 'utf-16be';
+    }
+    return null;
+}
+
+// Number of double-byte characters in the charset's common ranges
+function commonCharacters(buffer, charset) {
+    let count = 0;
+    for (let i = 0; i < buffer.length - 1; i++) {
+        const lead = buffer[i];
+        if (lead < 0x80) {
+            continue;
+        }
+        const trail = buffer[++i];
+        if (COMMON_RANGES[charset].some((r) => lead >= r[0] && lead <= r[1] && trail >= r[2] && trail <= r[3])) {
+            count++;
+        }
+    }
+    return count;
+}
+
+// Guess the charset of data without a BOM: UTF-16 by its zero bytes, UTF-8 when valid,
+// otherwise the legacy charset that decodes it and has the most common characters
+function detect(buffer) {
+    const utf16 = detectUtf16(buffer);
+    if (utf16) {
+        return utf16;
+    }
+    if (tryDecode(buffer, 'utf-8') !== null) {
+        return 'utf-8';
+    }
+
+    let best = 'utf-8';
+    let bestCount = 0;
+    Object.keys(COMMON_RANGES).forEach(function(candidate) {
+        if (tryDecode(buffer, candidate) === null) {
+            return;
+        }
+        const count = commonCharacters(buffer, candidate);
+        if (count > bestCount) {
+            best = candidate;
+            bestCount = count;
+        }
+    });
+    return best;
+}
+
+// Decode text. A BOM overrides the charset; 'auto' detects it.
+// Returns {text, charset} with the charset actually used.
+function decode(buffer, charset) {
+    const bom = sniffBom(buffer);
+    if (bom) {
+        return {text: new TextDecoder(bom.charset).decode(buffer.slice(bom.bytes.length)), charset: bom.charset};
+    }
+
+    const used = !charset || charset === 'auto' ? detect(buffer) : charset;
+    return {text: new TextDecoder(used, {ignoreBOM: true}).decode(buffer), charset: used};
+}
+
+// Reverse the charset's decoder over its whole code space
+function encodeTable(charset) {
+    if (encodeTables[charset]) {
+        return encodeTables[charset];
+    }
+
+    const table = new Map();
+    const space = CODE_SPACES[charset];
+    const decoder = new TextDecoder(charset);
+    function add(bytes) {
+        const text = decoder.decode(Buffer.from(bytes));
+        // First sequence wins for characters with several encodings
+        if (text !== '�' && [...text].length === 1 && !table.has(text)) {
+            table.set(text, Buffer.from(bytes));
+        }
+    }
+
+    if (space.single) {
+        for (let byte = space.single[0]; byte <= space.single[1]; byte++) {
+            add([byte]);
+        }
+    }
+    if (space.lead) {
+        for (let lead = space.lead[0]; lead <= space.lead[1]; lead++) {
+            for (let trail = space.trail[0]; trail <= space.trail[1]; trail++) {
+                add([lead, trail]);
+            }
+        }
+    }
+
+    encodeTables[charset] = table;
+    return table;
+}
+
+// Encode text in a charset ('auto' writes UTF-8).
+// Throws when a character has no representation in the charset.
+function encode(text, charset) {
+    switch (charset) {
+        case 'utf-16le':
+            return Buffer.from(text, 'utf16le');
+        case 'utf-16be':
+            return Buffer.from(text, 'utf16le').swap16();
+        case 'euc-kr':
+        case 'shift_jis':
+            break;
+        default:
+            return Buffer.from(text, 'utf8');
+    }
+
+    const table = encodeTable(charset);
+    const bytes = [];
+    let position = 0;
+    for (const character of text) {
+        const code = character.codePointAt(0);
+        if (code < 0x80) {
+            bytes.push(code);
+        } else if (table.has(character)) {
+            bytes.push(...table.get(character));
+        } else {
+            throw new errors.LZ4Error(errors.CODES.INVALID_INPUT,
+                "Character U+" + code.toString(16).toUpperCase().padStart(4, '0') +
+                " at position " + position + " cannot be encoded as " + charset);
+        }
+        position += character.length;
+    }
+    return Buffer.from(bytes);
+}
+
+module.exports = {
+    CHARSETS: CHARSETS,
+    decode: decode,
+    encode: encode,
+    detect: detect
+};
@@ -0,0 +1,104 @@
+// Confluent Schema Registry wire format: magic byte 0 and a 4-byte big-endian schema ID
+// ahead of Avro or JSON Schema data. Schemas are read from a local directory or given
+// inline, so no registry connection is needed.
+const fs = require('fs');
+const path = require('path');
+const avro = require('./avro');
+const errors = require('./errors');
+
+const MAGIC_BYTE = 0;
+const HEADER_SIZE = 5;
+
+// Schema types as named by the registry ("schemaType", AVRO when missing)
+const SCHEMA_TYPES = {AVRO: 'avro', JSON: 'json'};
+
+// Schema files in a directory, by extension
+const SCHEMA_FILES = [
+    {extension: '.avsc', type: 'avro'},
+    {extension: '.json', type: 'json'}
+];
+
+function isFramed(buffer) {
+    return Buffer.isBuffer(buffer) && buffer.length >= HEADER_SIZE && buffer[0] === MAGIC_BYTE;
+}
+
+// Split framed data into {schemaId, data}
+function unwrap(buffer) {
+    return {schemaId: buffer.readUInt32BE(1), data: buffer.slice(HEADER_SIZE)};
+}
+
+function wrap(schemaId, data) {
+    const header = Buffer.alloc(HEADER_SIZE);
+    header[0] = MAGIC_BYTE;
+    header.writeUInt32BE(schemaId, 1);
+    return Buffer.concat([header, data]);
+}
+
+// Schema lookup by ID. Inline schemas use the shape of the registry's /schemas/ids/{id}
+// response ({"schemaType": "AVRO" | "JSON", "schema": ...}); directory files are named
+// <id>.avsc (Avro) or <id>.json (JSON Schema). Parsed schemas are cached.
+function SchemaStore(options) {
+    this.directory = (options && options.directory) || '';
+    this.schemas = (options && options.schemas) || {};
+    this.cache = {};
+}
+
+SchemaStore.prototype.find = function(id) {
+    const entry = this.schemas[id];
+    if (entry) {
+        const type = SCHEMA_TYPES[String(entry.schemaType || 'AVRO').toUpperCase()];
+        if (!type) {
+            throw new errors.LZ4Error(errors.CODES.INVALID_INPUT,
+                "Schema " + id + " has unsupported schema type " + entry.schemaType);
+        }
+        return {type: type, source: entry.schema};
+    }
+
+    if (this.directory) {
+        for (const file of SCHEMA_FILES) {
+            const filename = path.join(this.directory, id + file.extension);
+            if (fs.existsSync(filename)) {
+                return {type: file.type, source: fs.readFileSync(filename, 'utf8')};
+            }
+        }
+    }
+    return null;
+};
+
+// Returns {id, type: 'avro' | 'json', schema, avro (parsed Avro schema)}
+SchemaStore.prototype.get = function(id) {
+    if (this.cache[id]) {
+        return this.cache[id];
+    }
+
+    const found = this.find(id);
+    if (!found) {
+        throw new errors.LZ4Error(errors.CODES.UNKNOWN_SCHEMA, "Unknown schema ID " + id);
+    }
+
+    let schema;
+    try {
+        schema = typeof found.source === 'string' ? JSON.parse(found.source) : found.source;
+    } catch (e) {
+        throw new errors.LZ4Error(errors.CODES.INVALID_INPUT, "Schema " + id + " is not valid JSON (" + e.message + ")");
+    }
+
+    const entry = {id: id, type: found.type, schema: schema, avro: null};
+    if (found.type === 'avro') {
+        try {
+            entry.avro = avro.parse(schema);
+        } catch (e) {
+            throw new errors.LZ4Error(errors.CODES.INVALID_INPUT, "Schema " + id + ": " + e.message);
+        }
+    }
+    this.cache[id] = entry;
+    return entry;
+};
+
+module.exports = {
+    HEADER_SIZE: HEADER_SIZE,
+    SchemaStore: SchemaStore,
+    isFramed: isFramed,
+    unwrap: unwrap,
+    wrap: wrap
+};
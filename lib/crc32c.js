@@ -0,0 +1,25 @@
+// CRC-32C (Castagnoli), as used by Kafka RecordBatch v2
+const POLY = 0x82F63B78;
+
+const TABLE = (function() {
+    const table = new Int32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = (c & 1) ? (POLY ^ (c >>> 1)) : (c >>> 1);
+        }
+        table[n] = c;
+    }
+    return table;
+})();
+
+// Calculate the CRC-32C of a buffer, returned as an unsigned 32-bit integer
+function crc32c(buffer) {
+    let crc = -1;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ -1) >>> 0;
+}
+
+module.exports = crc32c;
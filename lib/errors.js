@@ -0,0 +1,87 @@
+// Structured errors for failed operations, sent as msg.error on the error output
+
+const CODES = {
+    BAD_MAGIC: 'BAD_MAGIC',                     // not an LZ4 frame / unknown magic number
+    BAD_HEADER: 'BAD_HEADER',                   // invalid frame descriptor (version, reserved bits, block size)
+    BAD_CHECKSUM: 'BAD_CHECKSUM',               // header, block, content or RecordBatch CRC mismatch
+    BAD_BLOCK: 'BAD_BLOCK',                     // LZ4 block data cannot be decoded
+    BAD_RECORD: 'BAD_RECORD',                   // RecordBatch record fields do not add up (length, varint)
+    TRUNCATED_FRAME: 'TRUNCATED_FRAME',         // input ends before the frame, block or batch does
+    JSON_UNRECOVERABLE: 'JSON_UNRECOVERABLE',   // payload is not (recoverable) JSON
+    INVALID_INPUT: 'INVALID_INPUT',             // payload type or settings do not fit the operation
+    UNKNOWN_SCHEMA: 'UNKNOWN_SCHEMA',           // schema ID of Confluent framed data not found
+    SCHEMA_MISMATCH: 'SCHEMA_MISMATCH',         // data does not decode (or value does not encode) with its schema
+    UNKNOWN_DICTIONARY: 'UNKNOWN_DICTIONARY',   // frame Dict-ID does not match the configured dictionary
+    SIZE_LIMIT: 'SIZE_LIMIT',                   // decompressed data exceeds the configured maximum
+    OVERLOADED: 'OVERLOADED',                   // too many messages in flight
+    OPERATION_FAILED: 'OPERATION_FAILED'        // anything else
+};
+
+class LZ4Error extends Error {
+    constructor(code, message, details) {
+        super(message);
+        this.name = 'LZ4Error';
+        this.code = code;
+        this.stage = (details && details.stage) || null;
+        this.offset = details && details.offset !== undefined ? details.offset : null;
+    }
+
+    toJSON() {
+        return {
+            code: this.code,
+            message: this.message,
+            stage: this.stage,
+            offset: this.offset
+        };
+    }
+}
+
+// Byte offset reported by the lz4 decoder ("... @12"), our codecs ("at byte 12")
+// or JSON.parse ("at position 12")
+function findOffset(message) {
+    const match = /(?:@|at byte |at position )(\d+)/.exec(message);
+    return match ? parseInt(match[1], 10) : null;
+}
+
+// Our codecs throw LZ4Errors with their code; this is only the fallback for errors
+// from the lz4 package (native binding and stream decoder), recognized by their message
+function findCode(message) {
+    if (/magic number/i.test(message)) {
+        return CODES.BAD_MAGIC;
+    }
+    if (/checksum/i.test(message)) {
+        return CODES.BAD_CHECKSUM;
+    }
+    if (/Unexpected end/.test(message)) {
+        return CODES.TRUNCATED_FRAME;
+    }
+    if (/Invalid version|Reserved bit|block max size/i.test(message)) {
+        return CODES.BAD_HEADER;
+    }
+    if (/data block|output too small/i.test(message)) {
+        return CODES.BAD_BLOCK;
+    }
+    if (/input too large/.test(message)) {
+        return CODES.INVALID_INPUT;
+    }
+    return CODES.OPERATION_FAILED;
+}
+
+// Turn any error into an LZ4Error, keeping the code of errors that already have one
+function classify(error, stage) {
+    if (error instanceof LZ4Error) {
+        if (!error.stage) {
+            error.stage = stage;
+        }
+        return error;
+    }
+    const message = error && error.message ? error.message : String(error);
+    return new LZ4Error(findCode(message), message, {stage: stage, offset: findOffset(message)});
+}
+
+module.exports = {
+    CODES: CODES,
+    LZ4Error: LZ4Error,
+    classify: classify,
+    findOffset: findOffset
+};
@@ -0,0 +1,621 @@
+// LZ4 frame encoder, decoder and header helpers
+const lz4 = require('lz4');
+const errors = require('./errors');
+
+const MAGIC = 0x184D2204;
+const MAGIC_BYTES = Buffer.from([0x04, 0x22, 0x4D, 0x18]);
+const SKIPPABLE_MAGIC = 0x184D2A50;     // 0x184D2A50 - 0x184D2A5F, user-defined metadata frames
+const MAGIC_SIZE = 4;
+const VERSION = 1;
+const UNCOMPRESSED_BIT = 0x80000000;
+const BLOCK_SIZE_MASK = 0x7FFFFFFF;
+const WINDOW_SIZE = 64 << 10;           // linked blocks may reference the previous 64KB
+const MIN_MATCH = 4;
+const LAST_LITERALS = 5;                // the block format ends with at least 5 literals...
+const MF_LIMIT = 12;                    // ...and the last match starts 12 bytes before the end
+const HASH_LOG = 16;
+
+// Frame descriptor defaults (same as lz4.encode)
+const DEFAULT_OPTIONS = {
+    highCompression: false,
+    blockMaxSize: 4 << 20,
+    blockIndependence: true,
+    blockChecksum: false,
+    contentChecksum: true,
+    contentSize: false,
+    framing: 'standard'
+};
+
+// LZ4 frame options matching the Java producer (64KB blocks, no content checksum)
+const KAFKA_LZ4_OPTIONS = {
+    blockMaxSize: 64 << 10,
+    contentChecksum: false,
+    contentSize: false
+};
+
+// Header checksum: second byte of xxHash32 with seed 0
+function headerChecksum(data) {
+    return lz4.utils.descriptorChecksum(data);
+}
+
+// xxHash32 with seed 0, used for block and content checksums
+function xxh32(data) {
+    return lz4.utils.blockChecksum(data) >>> 0;
+}
+
+// Dict-ID of a dictionary without an assigned ID: its xxHash32
+function dictionaryId(dictionary) {
+    return xxh32(dictionary);
+}
+
+// Compress data into an LZ4 frame.
+// Unlike lz4.encode, block checksums cover the stored block data and the
+// content size field is filled in, as required by the frame specification.
+// options.dictionary ({id, data}) compresses against a pre-shared dictionary and
+// writes its Dict-ID; the native compressors cannot use one, so HC is not available then.
+function encode(data, options) {
+    options = Object.assign({}, DEFAULT_OPTIONS, options);
+
+    const bdIndex = lz4.blockMaxSizes.indexOf(options.blockMaxSize);
+    if (bdIndex < 0) {
+        throw new errors.LZ4Error(errors.CODES.INVALID_INPUT, "Invalid LZ4 block max size: " + options.blockMaxSize);
+    }
+
+    const dictionary = options.dictionary || null;
+    const flg = (VERSION << 6) |
+        (options.blockIndependence ? 0x20 : 0) |
+        (options.blockChecksum ? 0x10 : 0) |
+        (options.contentSize ? 0x08 : 0) |
+        (options.contentChecksum ? 0x04 : 0) |
+        (dictionary ? 0x01 : 0);
+
+    const header = Buffer.alloc(MAGIC_SIZE + 2 + (options.contentSize ? 8 : 0) + (dictionary ? 4 : 0) + 1);
+    header.writeUInt32LE(MAGIC, 0);
+    header[MAGIC_SIZE] = flg;
+    header[MAGIC_SIZE + 1] = bdIndex << 4;
+    if (options.contentSize) {
+        header.writeBigUInt64LE(BigInt(data.length), MAGIC_SIZE + 2);
+    }
+    if (dictionary) {
+        header.writeUInt32LE(dictionary.id >>> 0, MAGIC_SIZE + 2 + (options.contentSize ? 8 : 0));
+    }
+    const checksumOffset = header.length - 1;
+    header[checksumOffset] = headerChecksum(options.framing === 'legacy'
+        ? header.slice(0, checksumOffset)
+        : header.slice(MAGIC_SIZE, checksumOffset));
+
+    const compress = options.highCompression ? lz4.encodeBlockHC : lz4.encodeBlock;
+    const chunks = [header];
+
+    for (let start = 0; start < data.length; start += options.blockMaxSize) {
+        const chunk = data.slice(start, start + options.blockMaxSize);
+        let output = Buffer.alloc(lz4.encodeBound(chunk.length));
+        let compressedSize;
+        if (dictionary) {
+            // Independent blocks each start from the dictionary; linked blocks also see the data before them
+            const prefix = options.blockIndependence
+                ? dictionary.data.slice(-WINDOW_SIZE)
+                : Buffer.concat([dictionary.data.slice(-WINDOW_SIZE), data.slice(Math.max(0, start - WINDOW_SIZE), start)]).slice(-WINDOW_SIZE);
+            output = encodeLinkedBlock(chunk, prefix);
+            compressedSize = output.length;
+        } else {
+            compressedSize = compress(chunk, output);
+        }
+
+        // Incompressible blocks are stored as is, flagged by the high bit
+        const stored = compressedSize > 0 && compressedSize < chunk.length;
+        const blockData = stored ? output.slice(0, compressedSize) : chunk;
+        const blockSize = Buffer.alloc(4);
+        blockSize.writeUInt32LE(stored ? compressedSize : (UNCOMPRESSED_BIT | chunk.length) >>> 0, 0);
+        chunks.push(blockSize, blockData);
+
+        if (options.blockChecksum) {
+            const checksum = Buffer.alloc(4);
+            checksum.writeUInt32LE(xxh32(blockData), 0);
+            chunks.push(checksum);
+        }
+    }
+
+    const end = Buffer.alloc(options.contentChecksum ? 8 : 4);
+    if (options.contentChecksum) {
+        end.writeUInt32LE(xxh32(data), 4);
+    }
+    chunks.push(end);
+
+    return Buffer.concat(chunks);
+}
+
+// Parse the frame descriptor at the start of a buffer.
+// Returns null when the buffer does not hold a complete LZ4 frame header.
+function readHeader(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < MAGIC_SIZE + 3 || buffer.readUInt32LE(0) !== MAGIC) {
+        return null;
+    }
+
+    const flg = buffer[MAGIC_SIZE];
+    const bd = buffer[MAGIC_SIZE + 1];
+    const contentSize = Boolean(flg & 0x08);
+    const dictId = Boolean(flg & 0x01);
+    const descriptorSize = 2 + (contentSize ? 8 : 0) + (dictId ? 4 : 0);
+    const checksumOffset = MAGIC_SIZE + descriptorSize;
+
+    if (buffer.length <= checksumOffset) {
+        return null;
+    }
+
+    return {
+        version: flg >> 6,
+        blockIndependence: Boolean(flg & 0x20),
+        blockChecksum: Boolean(flg & 0x10),
+        contentSize: contentSize,
+        contentChecksum: Boolean(flg & 0x04),
+        dictId: dictId,
+        dictionaryId: dictId ? buffer.readUInt32LE(MAGIC_SIZE + 2 + (contentSize ? 8 : 0)) : null,
+        blockMaxSize: lz4.blockMaxSizes[(bd >> 4) & 0x07] || null,
+        headerSize: checksumOffset + 1,
+        checksumOffset: checksumOffset,
+        checksum: buffer[checksumOffset],
+        // Spec: checksum over the descriptor only
+        standardChecksum: headerChecksum(buffer.slice(MAGIC_SIZE, checksumOffset)),
+        // KAFKA-1493: Kafka 0.8/0.9 included the magic number in the checksum
+        legacyChecksum: headerChecksum(buffer.slice(0, checksumOffset))
+    };
+}
+
+// Decode a block that may copy from previously decoded data (linked blocks).
+// The native decoder cannot be given that history, so this follows the block format directly.
+function decodeLinkedBlock(input, history, maxSize) {
+    const output = Buffer.alloc(history.length + maxSize);
+    history.copy(output, 0);
+    let i = 0;
+    let j = history.length;
+
+    function fail() {
+        throw new errors.LZ4Error(errors.CODES.BAD_BLOCK, "Invalid LZ4 block data at byte " + i, {offset: i});
+    }
+
+    function readLength(length) {
+        if (length === 15) {
+            let byte;
+            do {
+                if (i >= input.length) {
+                    fail();
+                }
+                byte = input[i++];
+                length += byte;
+            } while (byte === 255);
+        }
+        return length;
+    }
+
+    while (i < input.length) {
+        const token = input[i++];
+
+        const literals = readLength(token >> 4);
+        if (i + literals > input.length || j + literals > output.length) {
+            fail();
+        }
+        input.copy(output, j, i, i + literals);
+        i += literals;
+        j += literals;
+
+        // The last sequence has literals only
+        if (i === input.length) {
+            break;
+        }
+
+        if (i + 2 > input.length) {
+            fail();
+        }
+        const offset = input[i] | (input[i + 1] << 8);
+        if (offset === 0 || offset > j) {
+            fail();
+        }
+        i += 2;
+
+        const matchLength = readLength(token & 0x0F) + 4;
+        if (j + matchLength > output.length) {
+            fail();
+        }
+        for (let k = 0; k < matchLength; k++, j++) {
+            output[j] = output[j - offset];
+        }
+    }
+
+    return output.slice(history.length, j);
+}
+
+// Compress a block that may copy from the given prefix (a dictionary or the data before
+// the block), the counterpart of decodeLinkedBlock(). Greedy matching on a hash of 4 bytes.
+function encodeLinkedBlock(input, prefix) {
+    const data = Buffer.concat([prefix, input]);
+    const output = Buffer.alloc(lz4.encodeBound(input.length));
+    const table = new Int32Array(1 << HASH_LOG).fill(-1);
+    let o = 0;
+
+    function hash(pos) {
+        return Math.imul(data.readUInt32LE(pos), 2654435761) >>> (32 - HASH_LOG);
+    }
+
+    function writeLength(length) {
+        for (; length >= 255; length -= 255) {
+            output[o++] = 255;
+        }
+        output[o++] = length;
+    }
+
+    function writeSequence(literalStart, literalEnd, offset, matchLength) {
+        const literals = literalEnd - literalStart;
+        const extra = matchLength - MIN_MATCH;
+        output[o++] = (Math.min(literals, 15) << 4) | (offset ? Math.min(extra, 15) : 0);
+        if (literals >= 15) {
+            writeLength(literals - 15);
+        }
+        data.copy(output, o, literalStart, literalEnd);
+        o += literals;
+        if (offset) {
+            output[o++] = offset & 0xFF;
+            output[o++] = offset >> 8;
+            if (extra >= 15) {
+                writeLength(extra - 15);
+            }
+        }
+    }
+
+    for (let pos = 0; pos + MIN_MATCH <= prefix.length; pos++) {
+        table[hash(pos)] = pos;
+    }
+
+    let anchor = prefix.length;
+    let pos = prefix.length;
+    while (pos <= data.length - MF_LIMIT) {
+        const h = hash(pos);
+        const candidate = table[h];
+        table[h] = pos;
+        if (candidate < 0 || pos - candidate > 0xFFFF || data.readUInt32LE(candidate) !== data.readUInt32LE(pos)) {
+            pos++;
+            continue;
+        }
+
+        let length = MIN_MATCH;
+        while (pos + length < data.length - LAST_LITERALS && data[candidate + length] === data[pos + length]) {
+            length++;
+        }
+        writeSequence(anchor, pos, pos - candidate, length);
+        pos += length;
+        anchor = pos;
+    }
+    writeSequence(anchor, data.length, 0, 0);
+
+    return output.slice(0, o);
+}
+
+// Blocks with history (linked blocks, or any block of a frame with a dictionary) need the JS decoder
+function decodeBlock(blockData, history, header) {
+    if (history.length > 0) {
+        return decodeLinkedBlock(blockData, history, header.blockMaxSize);
+    }
+
+    const output = Buffer.alloc(header.blockMaxSize);
+    const decodedSize = lz4.decodeBlock(blockData, output);
+    if (decodedSize < 0) {
+        throw new errors.LZ4Error(errors.CODES.BAD_BLOCK,
+            "Invalid LZ4 block data at byte " + (-decodedSize), {offset: -decodedSize});
+    }
+    return output.slice(0, decodedSize);
+}
+
+// Error for decompressed data growing past maxSize; decodeFrames() lets it through
+// instead of resyncing, so a decompression bomb stops the whole payload
+function sizeLimitError(maxSize, offset) {
+    return new errors.LZ4Error(errors.CODES.SIZE_LIMIT,
+        "Decompressed size exceeds the limit of " + maxSize + " bytes at byte " + offset, {offset: offset});
+}
+
+// Decompress one LZ4 frame, verifying the header, block and content checksums.
+// Intact blocks are decoded up to the first damaged one, so a damaged frame still
+// yields the data before the damage. Returns {data, integrity}; integrity.frameSize
+// is the number of input bytes the frame occupied.
+// Throws when the buffer does not start with a usable frame header, when it names a
+// dictionary missing from dictionaries (a Map of Dict-ID to Buffer), and as soon as the
+// decoded data (or the declared content size) exceeds maxSize, when given.
+function decode(buffer, maxSize, dictionaries) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < MAGIC_SIZE || buffer.readUInt32LE(0) !== MAGIC) {
+        throw new errors.LZ4Error(errors.CODES.BAD_MAGIC,
+            "Not an LZ4 frame (magic number 0x184D2204 not found)", {offset: 0});
+    }
+
+    const header = readHeader(buffer);
+    if (!header) {
+        throw new errors.LZ4Error(errors.CODES.TRUNCATED_FRAME,
+            "LZ4 frame header truncated at byte " + buffer.length, {offset: buffer.length});
+    }
+    if (header.version !== VERSION) {
+        throw new errors.LZ4Error(errors.CODES.BAD_HEADER,
+            "Invalid version " + header.version + " in LZ4 frame header at byte " + MAGIC_SIZE, {offset: MAGIC_SIZE});
+    }
+    if ((buffer[MAGIC_SIZE] & 0x02) || (buffer[MAGIC_SIZE + 1] & 0x8F)) {
+        throw new errors.LZ4Error(errors.CODES.BAD_HEADER,
+            "Reserved bit set in LZ4 frame header at byte " + MAGIC_SIZE, {offset: MAGIC_SIZE});
+    }
+    if (!header.blockMaxSize) {
+        throw new errors.LZ4Error(errors.CODES.BAD_HEADER,
+            "Invalid block max size in LZ4 frame header at byte " + (MAGIC_SIZE + 1), {offset: MAGIC_SIZE + 1});
+    }
+    if (maxSize && header.contentSize && Number(buffer.readBigUInt64LE(MAGIC_SIZE + 2)) > maxSize) {
+        throw sizeLimitError(maxSize, MAGIC_SIZE + 2);
+    }
+    const dictionary = header.dictId ? (dictionaries && dictionaries.get(header.dictionaryId)) : null;
+    if (header.dictId && !dictionary) {
+        throw new errors.LZ4Error(errors.CODES.UNKNOWN_DICTIONARY,
+            "LZ4 frame needs unknown dictionary " + header.dictionaryId + " (Dict-ID at byte " + (header.checksumOffset - 4) + ")",
+            {offset: header.checksumOffset - 4});
+    }
+
+    let headerChecksum = 'invalid';
+    if (header.checksum === header.standardChecksum) {
+        headerChecksum = 'ok';
+    } else if (header.checksum === header.legacyChecksum) {
+        headerChecksum = 'legacy';
+    }
+
+    const integrity = {
+        status: 'intact',
+        headerChecksum: headerChecksum,
+        blocks: [],
+        contentChecksum: header.contentChecksum ? 'unverified' : null,
+        contentSize: header.contentSize ? 'unverified' : null,
+        dictionaryId: header.dictionaryId,
+        truncated: false,
+        salvagedBytes: 0,
+        frameSize: 0
+    };
+    const chunks = [];
+    let decodedTotal = 0;
+    // A dictionary precedes the first block, and every block when they are independent
+    const dictionaryWindow = dictionary ? dictionary.slice(-WINDOW_SIZE) : Buffer.alloc(0);
+    let history = dictionaryWindow;
+    let pos = header.headerSize;
+    let complete = false;
+
+    // Only the first damage is reported, with its error code
+    function damage(code, message) {
+        integrity.status = 'damaged';
+        if (!integrity.error) {
+            integrity.error = message;
+            integrity.errorCode = code;
+        }
+    }
+
+    if (headerChecksum === 'invalid') {
+        damage(errors.CODES.BAD_CHECKSUM, "LZ4 frame header checksum mismatch at byte " + header.checksumOffset);
+    }
+
+    while (true) {
+        if (pos + 4 > buffer.length) {
+            integrity.truncated = true;
+            damage(errors.CODES.TRUNCATED_FRAME, "LZ4 frame truncated at byte " + pos + " (missing end mark)");
+            break;
+        }
+
+        const word = buffer.readUInt32LE(pos);
+        if (word === 0) {
+            // End mark, optionally followed by the content checksum
+            pos += 4;
+            complete = true;
+            break;
+        }
+
+        const entry = {
+            index: integrity.blocks.length,
+            offset: pos,
+            size: word & BLOCK_SIZE_MASK,
+            compressed: !(word & UNCOMPRESSED_BIT),
+            checksum: header.blockChecksum ? 'unverified' : null,
+            status: 'ok'
+        };
+        integrity.blocks.push(entry);
+
+        if (entry.size > header.blockMaxSize) {
+            entry.status = 'corrupt';
+            damage(errors.CODES.BAD_BLOCK, "LZ4 block " + entry.index + " size " + entry.size + " exceeds the frame's maximum at byte " + pos);
+            break;
+        }
+
+        const dataStart = pos + 4;
+        const dataEnd = dataStart + entry.size;
+        const blockEnd = dataEnd + (header.blockChecksum ? 4 : 0);
+        if (blockEnd > buffer.length) {
+            entry.status = 'truncated';
+            integrity.truncated = true;
+            damage(errors.CODES.TRUNCATED_FRAME, "LZ4 block " + entry.index + " truncated at byte " + buffer.length);
+            break;
+        }
+
+        const blockData = buffer.slice(dataStart, dataEnd);
+        if (header.blockChecksum) {
+            entry.checksum = buffer.readUInt32LE(dataEnd) === xxh32(blockData) ? 'ok' : 'mismatch';
+            if (entry.checksum === 'mismatch') {
+                entry.status = 'checksum_mismatch';
+                damage(errors.CODES.BAD_CHECKSUM, "LZ4 block " + entry.index + " checksum mismatch at byte " + dataEnd);
+                break;
+            }
+        }
+
+        let decoded;
+        try {
+            decoded = entry.compressed ? decodeBlock(blockData, header.blockIndependence ? dictionaryWindow : history, header) : blockData;
+        } catch (error) {
+            // The block decoders count from the start of the block; report the frame offset
+            entry.status = 'corrupt';
+            damage(errors.CODES.BAD_BLOCK, "LZ4 block " + entry.index + " corrupt: " + error.message.replace(/\d+$/, (n) => String(dataStart + Number(n))));
+            break;
+        }
+
+        decodedTotal += decoded.length;
+        if (maxSize && decodedTotal > maxSize) {
+            throw sizeLimitError(maxSize, dataStart);
+        }
+        entry.decodedSize = decoded.length;
+        chunks.push(decoded);
+        if (!header.blockIndependence) {
+            history = Buffer.concat([history, decoded]).slice(-WINDOW_SIZE);
+        }
+        pos = blockEnd;
+    }
+
+    const data = Buffer.concat(chunks);
+    integrity.salvagedBytes = data.length;
+
+    if (complete) {
+        const blocksIntact = integrity.blocks.every((entry) => entry.status === 'ok');
+
+        if (header.contentChecksum) {
+            if (pos + 4 > buffer.length) {
+                integrity.truncated = true;
+                damage(errors.CODES.TRUNCATED_FRAME, "LZ4 frame truncated at byte " + pos + " (missing content checksum)");
+            } else {
+                if (blocksIntact) {
+                    integrity.contentChecksum = buffer.readUInt32LE(pos) === xxh32(data) ? 'ok' : 'mismatch';
+                    if (integrity.contentChecksum === 'mismatch') {
+                        damage(errors.CODES.BAD_CHECKSUM, "LZ4 content checksum mismatch at byte " + pos);
+                    }
+                }
+                pos += 4;
+            }
+        }
+
+        if (header.contentSize && blocksIntact) {
+            const expectedSize = Number(buffer.readBigUInt64LE(MAGIC_SIZE + 2));
+            integrity.contentSize = expectedSize === data.length ? 'ok' : 'mismatch';
+            if (integrity.contentSize === 'mismatch') {
+                damage(errors.CODES.BAD_CHECKSUM, "LZ4 content size mismatch: expected " + expectedSize + ", got " + data.length);
+            }
+        }
+    }
+
+    integrity.frameSize = Math.min(pos, buffer.length);
+    return {data: data, integrity: integrity};
+}
+
+// Skippable frames carry metadata the decoder must ignore
+function isSkippable(magic) {
+    return (magic & 0xFFFFFFF0) >>> 0 === SKIPPABLE_MAGIC;
+}
+
+// Decode every frame of a buffer holding several frames back to back.
+// Skippable frames are collected with their contents. Bytes that do not start a frame
+// (trailing garbage, the rest of a damaged frame) are skipped up to the next LZ4 magic
+// number and listed in gaps. Returns {frames: [{offset, framing, data, integrity}],
+// skippable: [{offset, magic, data}], gaps: [{offset, length, error?}]}.
+// Throws when no frame yields any data, or when all frames together exceed maxSize.
+// dictionaries are passed on to decode().
+function decodeFrames(buffer, maxSize, dictionaries) {
+    const result = {frames: [], skippable: [], gaps: []};
+    let firstError = null;
+    let decodedTotal = 0;
+    let pos = 0;
+
+    // The first damage found (at the frame or gap at pos) is thrown when no frame yields any data
+    function noteError(code, message) {
+        firstError = firstError || new errors.LZ4Error(code, message, {offset: pos});
+    }
+
+    function gap(length, code, error) {
+        result.gaps.push(error ? {offset: pos, length: length, error: error} : {offset: pos, length: length});
+        if (error) {
+            noteError(code, error);
+        }
+        pos += length;
+    }
+
+    // Skip to the next LZ4 magic number (or the end of the buffer)
+    function resync(code, error) {
+        const next = buffer.indexOf(MAGIC_BYTES, pos + 1);
+        gap((next === -1 ? buffer.length : next) - pos, code, error);
+    }
+
+    while (pos < buffer.length) {
+        const magic = buffer.length - pos >= MAGIC_SIZE ? buffer.readUInt32LE(pos) : null;
+
+        if (magic === MAGIC) {
+            const frameData = buffer.slice(pos);
+            // A spent budget must not reach decode(), where 0 means no limit
+            const budget = maxSize ? maxSize - decodedTotal : 0;
+            let decoded;
+            try {
+                if (maxSize && budget <= 0) {
+                    throw sizeLimitError(maxSize, 0);
+                }
+                decoded = decode(frameData, budget, dictionaries);
+            } catch (error) {
+                if (error.code === errors.CODES.SIZE_LIMIT) {
+                    throw new errors.LZ4Error(error.code,
+                        "Decompressed size exceeds the limit of " + maxSize + " bytes, in frame at byte " + pos, {offset: pos});
+                }
+                resync(errors.classify(error).code, error.message + ", in frame at byte " + pos);
+                continue;
+            }
+            decodedTotal += decoded.data.length;
+            if (decoded.integrity.status === 'damaged') {
+                noteError(decoded.integrity.errorCode, decoded.integrity.error + ", in frame at byte " + pos);
+            }
+            result.frames.push({
+                offset: pos,
+                framing: detectFraming(frameData),
+                data: decoded.data,
+                integrity: decoded.integrity
+            });
+            pos += Math.max(decoded.integrity.frameSize, MAGIC_SIZE);
+        } else if (magic !== null && isSkippable(magic)) {
+            if (buffer.length - pos < 8 || buffer.length - pos - 8 < buffer.readUInt32LE(pos + 4)) {
+                gap(buffer.length - pos, errors.CODES.TRUNCATED_FRAME, "Skippable frame truncated at byte " + pos);
+                continue;
+            }
+            const size = buffer.readUInt32LE(pos + 4);
+            result.skippable.push({
+                offset: pos,
+                magic: '0x' + magic.toString(16).toUpperCase(),
+                data: buffer.slice(pos + 8, pos + 8 + size)
+            });
+            pos += 8 + size;
+        } else {
+            resync();
+        }
+    }
+
+    const usable = result.frames.some((decoded) => decoded.data.length > 0 || decoded.integrity.status === 'intact');
+    if (!usable) {
+        throw firstError || new errors.LZ4Error(errors.CODES.BAD_MAGIC, "No LZ4 frame found (magic number 0x184D2204 not found)");
+    }
+    return result;
+}
+
+// Identify the header checksum variant: 'standard', 'legacy' or 'invalid'
+function detectFraming(buffer) {
+    const header = readHeader(buffer);
+    if (!header) {
+        return null;
+    }
+    if (header.checksum === header.standardChecksum) {
+        return 'standard';
+    }
+    if (header.checksum === header.legacyChecksum) {
+        return 'legacy';
+    }
+    return 'invalid';
+}
+
+module.exports = {
+    MAGIC: MAGIC,
+    SKIPPABLE_MAGIC: SKIPPABLE_MAGIC,
+    DEFAULT_OPTIONS: DEFAULT_OPTIONS,
+    KAFKA_LZ4_OPTIONS: KAFKA_LZ4_OPTIONS,
+    encode: encode,
+    decode: decode,
+    dictionaryId: dictionaryId,
+    decodeFrames: decodeFrames,
+    isSkippable: isSkippable,
+    readHeader: readHeader,
+    detectFraming: detectFraming
+};
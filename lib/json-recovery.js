@@ -0,0 +1,387 @@
+// Error-tolerant JSON parser for damaged payloads.
+// Skips garbage, accepts common producer mistakes (unquoted keys, single quotes,
+// missing/extra commas) and closes whatever is left open at the end of the input,
+// returning the largest valid structure it can rebuild.
+
+const MAX_DEPTH = 512;
+
+const IDENTIFIER_START = /[\p{L}_$]/u;
+const IDENTIFIER = /[\p{L}\p{N}_$]*/uy;
+const NUMBER = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+const NUMBER_TAIL = /[\w.+-]*/y;
+const COLON = /\s*:/y;
+const VALUE_START = /[-\d{["']/;
+const LITERALS = {true: true, false: false, null: null};
+
+// Marker for "no value could be parsed here"
+const NONE = Symbol('none');
+
+function childPath(path, key) {
+    if (typeof key === 'number') {
+        return path + '[' + key + ']';
+    }
+    return /^[A-Za-z_$][\w$]*$/.test(key) ? path + '.' + key : path + '[' + JSON.stringify(key) + ']';
+}
+
+function Parser(text) {
+    this.text = text;
+    this.pos = 0;
+    this.repairs = [];
+    this.dropped = [];
+    this.synthesized = [];
+}
+
+Parser.prototype.repair = function(type, path, offset, extra) {
+    const last = this.repairs[this.repairs.length - 1];
+    // Merge consecutive garbage runs into one entry
+    if (type === 'garbage' && last && last.type === 'garbage' && last.offset + last.length === offset) {
+        last.length += extra.length;
+        return;
+    }
+    this.repairs.push(Object.assign({type: type, path: path, offset: offset}, extra));
+};
+
+Parser.prototype.eof = function() {
+    return this.pos >= this.text.length;
+};
+
+Parser.prototype.skipWhitespace = function() {
+    while (this.pos < this.text.length && /\s/.test(this.text[this.pos])) {
+        this.pos++;
+    }
+};
+
+// Skip unusable characters (one by default)
+Parser.prototype.skipGarbage = function(path, length) {
+    length = length || 1;
+    this.repair('garbage', path, this.pos, {length: length});
+    this.pos += length;
+};
+
+// Whether a colon follows offset, after optional whitespace
+Parser.prototype.colonAt = function(offset) {
+    COLON.lastIndex = offset;
+    return COLON.test(this.text);
+};
+
+// Whether the next character starts a value
+Parser.prototype.atValue = function() {
+    return VALUE_START.test(this.text[this.pos]) ||
+        Object.keys(LITERALS).some((literal) => this.text.startsWith(literal, this.pos));
+};
+
+// Skip ahead to the next character that can continue the enclosing structure
+Parser.prototype.resync = function(path, stops) {
+    while (!this.eof() && stops.indexOf(this.text[this.pos]) === -1) {
+        this.skipGarbage(path);
+    }
+};
+
+// Consume a member separator, noting a trailing comma before the closing bracket
+Parser.prototype.skipComma = function(path, close) {
+    const offset = this.pos;
+    this.pos++;
+    this.skipWhitespace();
+    if (this.text[this.pos] === close) {
+        this.repair('trailing_comma', path, offset);
+    }
+};
+
+Parser.prototype.parseValue = function(path, depth) {
+    this.skipWhitespace();
+    if (this.eof()) {
+        return NONE;
+    }
+    if (depth > MAX_DEPTH) {
+        throw new Error("JSON nesting deeper than " + MAX_DEPTH);
+    }
+
+    const c = this.text[this.pos];
+    if (c === '{') {
+        return this.parseObject(path, depth + 1);
+    }
+    if (c === '[') {
+        return this.parseArray(path, depth + 1);
+    }
+    if (c === '"' || c === "'") {
+        return this.parseString(path);
+    }
+
+    NUMBER.lastIndex = this.pos;
+    const number = NUMBER.exec(this.text);
+    if (number) {
+        const start = this.pos;
+        this.pos += number[0].length;
+        // Characters glued to the number ("01", "1.2.3"): the number is cut short before them
+        NUMBER_TAIL.lastIndex = this.pos;
+        const tail = NUMBER_TAIL.exec(this.text)[0];
+        if (tail.length > 0) {
+            this.repair('invalid_number', path, start, {length: number[0].length + tail.length});
+            this.pos += tail.length;
+        }
+        return Number(number[0]);
+    }
+
+    for (const literal of Object.keys(LITERALS)) {
+        if (this.text.startsWith(literal, this.pos)) {
+            this.pos += literal.length;
+            return LITERALS[literal];
+        }
+    }
+
+    return NONE;
+};
+
+Parser.prototype.parseString = function(path, isKey) {
+    const quote = this.text[this.pos];
+    const start = this.pos;
+    if (quote === "'") {
+        this.repair('single_quotes', path, start);
+    }
+    this.pos++;
+
+    let result = '';
+    while (!this.eof()) {
+        const c = this.text[this.pos];
+        if (c === quote) {
+            this.pos++;
+            return result;
+        }
+        if (c === '\\') {
+            const next = this.text[this.pos + 1];
+            const escapes = {'"': '"', "'": "'", '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t'};
+            if (next === 'u' && /^[0-9a-fA-F]{4}$/.test(this.text.substr(this.pos + 2, 4))) {
+                result += String.fromCharCode(parseInt(this.text.substr(this.pos + 2, 4), 16));
+                this.pos += 6;
+            } else if (next !== undefined && Object.prototype.hasOwnProperty.call(escapes, next)) {
+                result += escapes[next];
+                this.pos += 2;
+            } else {
+                // Keep the character after an invalid escape as is
+                this.repair('invalid_escape', path, this.pos);
+                this.pos++;
+            }
+            continue;
+        }
+        result += c;
+        this.pos++;
+    }
+
+    if (isKey) {
+        // An unterminated key has no value; the caller drops the member
+        return result;
+    }
+    this.repair('unterminated_string', path, start);
+    this.synthesized.push(path);
+    return result;
+};
+
+// Object key: quoted string or bare identifier followed by a colon.
+// Anything else is skipped as garbage, and NONE returned.
+Parser.prototype.parseKey = function(path) {
+    const c = this.text[this.pos];
+    if (c === '"' || c === "'") {
+        return this.parseString(path, true);
+    }
+    if (IDENTIFIER_START.test(c)) {
+        IDENTIFIER.lastIndex = this.pos + 1;
+        const identifier = c + IDENTIFIER.exec(this.text)[0];
+        if (this.colonAt(this.pos + identifier.length)) {
+            this.repair('unquoted_key', childPath(path, identifier), this.pos);
+            this.pos += identifier.length;
+            return identifier;
+        }
+        // The whole word at once: skipping it by the character would scan the rest of it again each time
+        this.skipGarbage(path, identifier.length);
+        return NONE;
+    }
+    this.skipGarbage(path);
+    return NONE;
+};
+
+Parser.prototype.parseObject = function(path, depth) {
+    const result = {};
+    this.pos++;
+
+    while (true) {
+        this.skipWhitespace();
+        if (this.eof()) {
+            this.repair('unclosed_object', path, this.pos);
+            this.synthesized.push(path);
+            return result;
+        }
+
+        const c = this.text[this.pos];
+        if (c === '}') {
+            this.pos++;
+            return result;
+        }
+        if (c === ',') {
+            this.repair('extra_comma', path, this.pos);
+            this.pos++;
+            continue;
+        }
+
+        const keyOffset = this.pos;
+        const key = this.parseKey(path);
+        if (key === NONE) {
+            continue;
+        }
+
+        const memberPath = childPath(path, key);
+        this.skipWhitespace();
+        if (this.text[this.pos] === ':') {
+            this.pos++;
+        } else if (!this.eof()) {
+            this.repair('missing_colon', memberPath, this.pos);
+        }
+
+        let value = this.parseValue(memberPath, depth);
+        // Garbage in front of the value: skip it up to the value, or to the end of the member
+        while (value === NONE && !this.eof() && this.text[this.pos] !== ',' && this.text[this.pos] !== '}') {
+            this.skipGarbage(memberPath);
+            this.skipWhitespace();
+            const valueOffset = this.pos;
+            value = this.parseValue(memberPath, depth);
+            if (typeof value === 'string' && this.colonAt(this.pos)) {
+                // That was the key of the next member: the value is missing
+                this.pos = valueOffset;
+                value = NONE;
+                break;
+            }
+        }
+        if (value === NONE) {
+            this.repair('dropped_member', memberPath, keyOffset);
+            this.dropped.push(memberPath);
+            this.resync(path, [',', '}', '"']);
+        } else {
+            // Own property, like JSON.parse (a "__proto__" key must not set the prototype)
+            Object.defineProperty(result, key, {value: value, writable: true, enumerable: true, configurable: true});
+        }
+
+        this.skipWhitespace();
+        if (this.text[this.pos] === ',') {
+            this.skipComma(path, '}');
+        } else if (!this.eof() && this.text[this.pos] !== '}') {
+            if (this.text[this.pos] === '"' || this.text[this.pos] === "'") {
+                this.repair('missing_comma', path, this.pos);
+            } else {
+                this.resync(path, [',', '}', '"', "'"]);
+            }
+        }
+    }
+};
+
+Parser.prototype.parseArray = function(path, depth) {
+    const result = [];
+    this.pos++;
+
+    while (true) {
+        this.skipWhitespace();
+        if (this.eof()) {
+            this.repair('unclosed_array', path, this.pos);
+            this.synthesized.push(path);
+            return result;
+        }
+
+        const c = this.text[this.pos];
+        if (c === ']') {
+            this.pos++;
+            return result;
+        }
+        if (c === ',') {
+            this.repair('extra_comma', path, this.pos);
+            this.pos++;
+            continue;
+        }
+
+        const elementPath = childPath(path, result.length);
+        const value = this.parseValue(elementPath, depth);
+        if (value === NONE) {
+            this.skipGarbage(path);
+            continue;
+        }
+        result.push(value);
+
+        this.skipWhitespace();
+        if (this.text[this.pos] === ',') {
+            this.skipComma(path, ']');
+        } else if (!this.eof() && this.text[this.pos] !== ']') {
+            if (this.atValue()) {
+                this.repair('missing_comma', path, this.pos);
+            } else {
+                this.resync(path, [',', ']', '{', '[', '"']);
+            }
+        }
+    }
+};
+
+function isEmptyContainer(value) {
+    return value !== null && typeof value === 'object' && Object.keys(value).length === 0;
+}
+
+// Recover JSON from text.
+// Returns {value, complete, repairs, dropped, synthesized, error}; value is undefined
+// when no JSON structure could be recovered, and error then says why.
+function recover(text) {
+    const result = {value: undefined, complete: false, repairs: [], dropped: [], synthesized: [], error: null};
+    if (typeof text !== 'string' || text.length === 0) {
+        result.error = "no text";
+        return result;
+    }
+
+    // Valid JSON needs no repair
+    try {
+        const value = JSON.parse(text);
+        if (value !== null) {
+            result.value = value;
+            result.complete = true;
+            return result;
+        }
+    } catch (e) {
+        // fall through to tolerant parsing
+    }
+
+    const start = text.search(/[{[]/);
+    if (start === -1) {
+        result.error = "no JSON object or array found";
+        return result;
+    }
+
+    const parser = new Parser(text);
+    if (start > 0) {
+        parser.repair('leading_garbage', '$', 0, {length: start});
+    }
+    parser.pos = start;
+
+    let value;
+    try {
+        value = parser.parseValue('$', 0);
+    } catch (e) {
+        result.error = e.message;
+        return result;
+    }
+
+    parser.skipWhitespace();
+    if (!parser.eof()) {
+        parser.repair('trailing_garbage', '$', parser.pos, {length: text.length - parser.pos});
+    }
+
+    // A structure that only held garbage is not a recovery
+    if (value === NONE || (isEmptyContainer(value) && parser.repairs.length > 0)) {
+        result.error = parser.dropped.length > 0
+            ? "no member could be recovered (dropped " + parser.dropped.join(', ') + ")"
+            : "the JSON structure holds only garbage";
+        return result;
+    }
+
+    result.value = value;
+    result.repairs = parser.repairs;
+    result.dropped = parser.dropped;
+    result.synthesized = parser.synthesized;
+    return result;
+}
+
+module.exports = {
+    recover: recover
+};
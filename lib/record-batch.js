@@ -0,0 +1,340 @@
+// Kafka RecordBatch (message format v2) reader and writer
+const crc32c = require('./crc32c');
+const errors = require('./errors');
+const frame = require('./frame');
+
+const MAGIC_V2 = 2;
+
+// Compression codecs stored in the low 3 bits of the batch attributes
+const CODECS = ['none', 'gzip', 'snappy', 'lz4', 'zstd'];
+const CODEC_NONE = 0;
+const CODEC_LZ4 = 3;
+
+// Fixed RecordBatch header layout
+const HEADER_SIZE = 61;
+const LOG_OVERHEAD = 12;            // baseOffset + batchLength
+const CRC_OFFSET = 17;
+const ATTRIBUTES_OFFSET = 21;
+
+// Sequential reader for the varint-encoded record fields
+function Reader(buffer) {
+    this.buffer = buffer;
+    this.pos = 0;
+}
+
+Reader.prototype.ensure = function(n) {
+    if (this.pos + n > this.buffer.length) {
+        throw new errors.LZ4Error(errors.CODES.TRUNCATED_FRAME, "Record truncated at byte " + this.pos, {offset: this.pos});
+    }
+};
+
+Reader.prototype.readInt8 = function() {
+    this.ensure(1);
+    return this.buffer.readInt8(this.pos++);
+};
+
+// Unsigned LEB128, up to 64 bits (returned as a Number)
+Reader.prototype.readUnsignedVarLong = function() {
+    let value = 0;
+    let multiplier = 1;
+    for (let i = 0; i < 10; i++) {
+        this.ensure(1);
+        const byte = this.buffer[this.pos++];
+        value += (byte & 0x7F) * multiplier;
+        if ((byte & 0x80) === 0) {
+            return value;
+        }
+        multiplier *= 128;
+    }
+    throw new errors.LZ4Error(errors.CODES.BAD_RECORD, "Varint too long at byte " + this.pos, {offset: this.pos});
+};
+
+// Zig-zag encoded signed varint / varlong
+Reader.prototype.readVarLong = function() {
+    const raw = this.readUnsignedVarLong();
+    return raw % 2 === 0 ? raw / 2 : -(raw + 1) / 2;
+};
+
+Reader.prototype.readBytes = function() {
+    const length = this.readVarLong();
+    if (length < 0) {
+        return null;
+    }
+    this.ensure(length);
+    const bytes = this.buffer.slice(this.pos, this.pos + length);
+    this.pos += length;
+    return bytes;
+};
+
+function writeUnsignedVarLong(value, out) {
+    while (value >= 0x80) {
+        out.push((value % 128) | 0x80);
+        value = Math.floor(value / 128);
+    }
+    out.push(value);
+}
+
+function writeVarLong(value, out) {
+    writeUnsignedVarLong(value >= 0 ? value * 2 : -value * 2 - 1, out);
+}
+
+function writeBytes(bytes, out) {
+    if (bytes === null || bytes === undefined) {
+        writeVarLong(-1, out);
+        return;
+    }
+    writeVarLong(bytes.length, out);
+    for (let i = 0; i < bytes.length; i++) {
+        out.push(bytes[i]);
+    }
+}
+
+// Convert a record field (key, value or header value) to bytes
+function toBytes(value) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    if (Buffer.isBuffer(value)) {
+        return value;
+    }
+    if (typeof value === 'string') {
+        return Buffer.from(value, 'utf8');
+    }
+    if (typeof value === 'object') {
+        return Buffer.from(JSON.stringify(value), 'utf8');
+    }
+    return Buffer.from(String(value), 'utf8');
+}
+
+// Decode the records section (already decompressed)
+function readRecords(buffer, count, baseOffset, baseTimestamp) {
+    const reader = new Reader(buffer);
+    const records = [];
+
+    for (let i = 0; i < count; i++) {
+        const length = reader.readVarLong();
+        const recordStart = reader.pos;
+        reader.ensure(length);
+
+        reader.readInt8(); // record attributes (unused)
+        const timestampDelta = reader.readVarLong();
+        const offsetDelta = reader.readVarLong();
+        const key = reader.readBytes();
+        const value = reader.readBytes();
+
+        // Kafka allows repeated header keys; their values are kept in order as an array
+        const headerCount = reader.readVarLong();
+        const headers = {};
+        for (let h = 0; h < headerCount; h++) {
+            const headerKey = reader.readBytes();
+            const name = headerKey ? headerKey.toString('utf8') : '';
+            const headerValue = reader.readBytes();
+            if (!(name in headers)) {
+                headers[name] = headerValue;
+            } else if (Array.isArray(headers[name])) {
+                headers[name].push(headerValue);
+            } else {
+                headers[name] = [headers[name], headerValue];
+            }
+        }
+
+        if (reader.pos !== recordStart + length) {
+            throw new errors.LZ4Error(errors.CODES.BAD_RECORD,
+                "Record " + i + " length mismatch at byte " + reader.pos, {offset: reader.pos});
+        }
+
+        records.push({
+            offset: baseOffset + offsetDelta,
+            timestamp: baseTimestamp + timestampDelta,
+            key: key,
+            value: value,
+            headers: headers
+        });
+    }
+
+    return records;
+}
+
+// Parse every RecordBatch in the buffer (a log segment may hold several).
+// maxSize, when given, caps the decompressed size of all LZ4 batches together.
+function decodeRecordBatches(buffer, maxSize) {
+    const batches = [];
+    let decodedTotal = 0;
+    let pos = 0;
+
+    while (pos < buffer.length) {
+        if (buffer.length - pos < HEADER_SIZE) {
+            throw new errors.LZ4Error(errors.CODES.TRUNCATED_FRAME,
+                "RecordBatch header truncated at byte " + pos, {offset: pos});
+        }
+
+        const batchLength = buffer.readInt32BE(pos + 8);
+        const end = pos + LOG_OVERHEAD + batchLength;
+        if (batchLength < HEADER_SIZE - LOG_OVERHEAD || end > buffer.length) {
+            throw new errors.LZ4Error(errors.CODES.TRUNCATED_FRAME,
+                "RecordBatch truncated at byte " + pos + " (batchLength " + batchLength + ")", {offset: pos});
+        }
+
+        const magic = buffer.readInt8(pos + 16);
+        if (magic !== MAGIC_V2) {
+            throw new errors.LZ4Error(errors.CODES.BAD_MAGIC,
+                "Unsupported RecordBatch magic " + magic + " at byte " + pos, {offset: pos});
+        }
+
+        const crc = buffer.readUInt32BE(pos + CRC_OFFSET);
+        const computedCrc = crc32c(buffer.slice(pos + ATTRIBUTES_OFFSET, end));
+        if (crc !== computedCrc) {
+            throw new errors.LZ4Error(errors.CODES.BAD_CHECKSUM, "RecordBatch CRC32C mismatch at byte " + pos +
+                " (expected " + crc.toString(16) + ", got " + computedCrc.toString(16) + ")", {offset: pos});
+        }
+
+        const attributes = buffer.readInt16BE(pos + ATTRIBUTES_OFFSET);
+        const codec = attributes & 0x07;
+        const batch = {
+            baseOffset: Number(buffer.readBigInt64BE(pos)),
+            batchLength: batchLength,
+            partitionLeaderEpoch: buffer.readInt32BE(pos + 12),
+            magic: magic,
+            crc: crc,
+            attributes: attributes,
+            codec: CODECS[codec] || String(codec),
+            timestampType: (attributes & 0x08) ? 'LogAppendTime' : 'CreateTime',
+            isTransactional: Boolean(attributes & 0x10),
+            isControl: Boolean(attributes & 0x20),
+            lastOffsetDelta: buffer.readInt32BE(pos + 23),
+            baseTimestamp: Number(buffer.readBigInt64BE(pos + 27)),
+            maxTimestamp: Number(buffer.readBigInt64BE(pos + 35)),
+            producerId: Number(buffer.readBigInt64BE(pos + 43)),
+            producerEpoch: buffer.readInt16BE(pos + 51),
+            baseSequence: buffer.readInt32BE(pos + 53),
+            recordCount: buffer.readInt32BE(pos + 57)
+        };
+
+        let recordsData = buffer.slice(pos + HEADER_SIZE, end);
+        if (codec === CODEC_LZ4) {
+            // A spent budget must not reach frame.decode(), where 0 means no limit
+            const budget = maxSize ? maxSize - decodedTotal : 0;
+            if (maxSize && budget <= 0) {
+                throw new errors.LZ4Error(errors.CODES.SIZE_LIMIT,
+                    "Decompressed size exceeds the limit of " + maxSize + " bytes (RecordBatch at byte " + pos + ")", {offset: pos});
+            }
+            const decoded = frame.decode(recordsData, budget);
+            decodedTotal += decoded.data.length;
+            if (decoded.integrity.status !== 'intact') {
+                throw new errors.LZ4Error(decoded.integrity.errorCode,
+                    decoded.integrity.error + " (RecordBatch at byte " + pos + ")", {offset: pos});
+            }
+            recordsData = decoded.data;
+        } else if (codec !== CODEC_NONE) {
+            throw new errors.LZ4Error(errors.CODES.INVALID_INPUT,
+                "Unsupported RecordBatch codec: " + batch.codec, {offset: pos});
+        }
+
+        batch.records = readRecords(recordsData, batch.recordCount, batch.baseOffset, batch.baseTimestamp);
+        batches.push(batch);
+        pos = end;
+    }
+
+    return batches;
+}
+
+// Record headers as an ordered list of [key, value]. headers is either an object, where an
+// array value stands for a repeated key, or a list of {key, value} entries.
+function headerEntries(headers, index) {
+    if (headers === null || headers === undefined) {
+        return [];
+    }
+    if (Array.isArray(headers)) {
+        return headers.map(function(header) {
+            if (!header || typeof header !== 'object' || typeof header.key !== 'string') {
+                throw new errors.LZ4Error(errors.CODES.INVALID_INPUT,
+                    "RecordBatch record " + index + " cannot be encoded: headers must be {key, value} entries");
+            }
+            return [header.key, header.value];
+        });
+    }
+    if (typeof headers !== 'object') {
+        throw new errors.LZ4Error(errors.CODES.INVALID_INPUT,
+            "RecordBatch record " + index + " cannot be encoded: headers must be an object or an array");
+    }
+    const entries = [];
+    Object.keys(headers).forEach(function(key) {
+        const values = Array.isArray(headers[key]) ? headers[key] : [headers[key]];
+        values.forEach((headerValue) => entries.push([key, headerValue]));
+    });
+    return entries;
+}
+
+// Build a single LZ4-compressed RecordBatch from an array of records
+// ({key, value, headers, timestamp}); options.baseOffset defaults to 0
+function encodeRecordBatch(records, options) {
+    options = options || {};
+    if (!Array.isArray(records) || records.length === 0) {
+        throw new errors.LZ4Error(errors.CODES.INVALID_INPUT, "RecordBatch requires a non-empty array of records");
+    }
+    records.forEach(function(record, index) {
+        if (!record || typeof record !== 'object' || Array.isArray(record) || Buffer.isBuffer(record)) {
+            throw new errors.LZ4Error(errors.CODES.INVALID_INPUT,
+                "RecordBatch record " + index + " cannot be encoded: expected an object {key, value, headers, timestamp}");
+        }
+        if (record.timestamp !== undefined && record.timestamp !== null && !Number.isInteger(Number(record.timestamp))) {
+            throw new errors.LZ4Error(errors.CODES.INVALID_INPUT,
+                "RecordBatch record " + index + " cannot be encoded: timestamp must be an integer (milliseconds since the epoch)");
+        }
+    });
+
+    // Records without a timestamp get the current time
+    const now = Date.now();
+    const timestamps = records.map(function(record) {
+        return record.timestamp !== undefined && record.timestamp !== null ? Number(record.timestamp) : now;
+    });
+    const baseTimestamp = Math.min.apply(null, timestamps);
+    const maxTimestamp = Math.max.apply(null, timestamps);
+
+    const body = [];
+    records.forEach(function(record, index) {
+        const out = [];
+        out.push(0); // record attributes
+        writeVarLong(timestamps[index] - baseTimestamp, out);
+        writeVarLong(index, out);
+        writeBytes(toBytes(record.key), out);
+        writeBytes(toBytes(record.value), out);
+
+        const headers = headerEntries(record.headers, index);
+        writeVarLong(headers.length, out);
+        headers.forEach(function(header) {
+            writeBytes(Buffer.from(header[0], 'utf8'), out);
+            writeBytes(toBytes(header[1]), out);
+        });
+
+        writeVarLong(out.length, body);
+        for (let i = 0; i < out.length; i++) {
+            body.push(out[i]);
+        }
+    });
+
+    const compressed = frame.encode(Buffer.from(body), frame.KAFKA_LZ4_OPTIONS);
+
+    const header = Buffer.alloc(HEADER_SIZE);
+    header.writeBigInt64BE(BigInt(options.baseOffset || 0), 0);
+    header.writeInt32BE(HEADER_SIZE - LOG_OVERHEAD + compressed.length, 8);
+    header.writeInt32BE(-1, 12);                       // partitionLeaderEpoch
+    header.writeInt8(MAGIC_V2, 16);
+    header.writeInt16BE(CODEC_LZ4, ATTRIBUTES_OFFSET);
+    header.writeInt32BE(records.length - 1, 23);       // lastOffsetDelta
+    header.writeBigInt64BE(BigInt(baseTimestamp), 27);
+    header.writeBigInt64BE(BigInt(maxTimestamp), 35);
+    header.writeBigInt64BE(BigInt(-1), 43);            // producerId
+    header.writeInt16BE(-1, 51);                       // producerEpoch
+    header.writeInt32BE(-1, 53);                       // baseSequence
+    header.writeInt32BE(records.length, 57);
+
+    const batch = Buffer.concat([header, compressed]);
+    batch.writeUInt32BE(crc32c(batch.slice(ATTRIBUTES_OFFSET)), CRC_OFFSET);
+    return batch;
+}
+
+module.exports = {
+    decodeRecordBatches: decodeRecordBatches,
+    encodeRecordBatch: encodeRecordBatch
+};
@@ -0,0 +1,118 @@
+// Record formats for batched payloads: NDJSON lines, CSV with a header row and JSON arrays
+
+const FORMATS = ['json', 'ndjson', 'csv', 'array'];
+
+// Non-empty lines with their 1-based line numbers
+function splitLines(text) {
+    const lines = [];
+    text.split('\n').forEach(function(line, i) {
+        const content = line.replace(/\r$/, '');
+        if (content.trim() !== '') {
+            lines.push({line: i + 1, text: content});
+        }
+    });
+    return lines;
+}
+
+// RFC 4180 CSV: quoted fields may hold commas, doubled quotes and line breaks.
+// Returns the rows as {line, fields} (line the row starts on); blank lines are skipped and
+// a row whose quote is never closed is marked unterminated.
+function parseCsv(text) {
+    const rows = [];
+    let fields = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    function endRow() {
+        if (fields.length > 0 || field !== '') {
+            rows.push({line: rowLine, fields: fields.concat([field])});
+        }
+        fields = [];
+        field = '';
+    }
+
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (c === '"') {
+                quoted = false;
+            } else {
+                line += c === '\n' ? 1 : 0;
+                field += c;
+            }
+        } else if (c === '"' && field === '') {
+            quoted = true;
+        } else if (c === ',') {
+            fields.push(field);
+            field = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            endRow();
+            line++;
+            rowLine = line;
+        } else {
+            field += c;
+        }
+    }
+    endRow();
+
+    if (quoted && rows.length > 0) {
+        rows[rows.length - 1].unterminated = true;
+    }
+    return rows;
+}
+
+function csvField(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]|^\s|\s$/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+// CSV with a header row made of every key of the object records, in first-seen order.
+// Array records are written as plain rows, anything else as a single field.
+function toCsv(records) {
+    const columns = [];
+    records.forEach(function(record) {
+        if (record && typeof record === 'object' && !Array.isArray(record)) {
+            Object.keys(record).forEach(function(key) {
+                if (columns.indexOf(key) === -1) {
+                    columns.push(key);
+                }
+            });
+        }
+    });
+
+    const rows = columns.length > 0 ? [columns.map(csvField).join(',')] : [];
+    records.forEach(function(record) {
+        if (Array.isArray(record)) {
+            rows.push(record.map(csvField).join(','));
+        } else if (record && typeof record === 'object') {
+            rows.push(columns.map((column) => csvField(record[column])).join(','));
+        } else {
+            rows.push(csvField(record));
+        }
+    });
+    return rows.map((row) => row + '\r\n').join('');
+}
+
+// One JSON document per line; strings are taken as ready-made lines
+function toNdjson(records) {
+    return records.map((record) => (typeof record === 'string' ? record : JSON.stringify(record)) + '\n').join('');
+}
+
+module.exports = {
+    FORMATS: FORMATS,
+    splitLines: splitLines,
+    parseCsv: parseCsv,
+    toCsv: toCsv,
+    toNdjson: toNdjson
+};
@@ -0,0 +1,214 @@
+// Runtime statistics of a node: messages, bytes, compression ratio and latency histograms,
+// failures by code and repairs by type, kept in total and per topic
+
+const RATIO_BUCKETS = [0, 10, 25, 50, 75, 90, 100];                   // percent saved, upper bounds
+const LATENCY_BUCKETS = [1, 5, 10, 50, 100, 500, 1000, 5000];         // milliseconds, upper bounds
+
+// Topics beyond this many are counted together, so a topic per key cannot grow the stats without bound
+const MAX_TOPICS = 100;
+const OTHER_TOPICS = '(other)';
+
+function Histogram(bounds) {
+    this.bounds = bounds;
+    this.counts = new Array(bounds.length + 1).fill(0);
+    this.count = 0;
+    this.sum = 0;
+    this.max = null;
+}
+
+Histogram.prototype.observe = function(value) {
+    const index = this.bounds.findIndex((bound) => value <= bound);
+    this.counts[index === -1 ? this.bounds.length : index]++;
+    this.count++;
+    this.sum += value;
+    this.max = this.max === null ? value : Math.max(this.max, value);
+};
+
+// Bucket counts keyed by upper bound (not cumulative)
+Histogram.prototype.toJSON = function() {
+    const buckets = {};
+    this.bounds.forEach((bound, i) => {
+        buckets[bound] = this.counts[i];
+    });
+    buckets['+Inf'] = this.counts[this.bounds.length];
+    return {
+        count: this.count,
+        sum: Math.round(this.sum * 1000) / 1000,
+        avg: this.count > 0 ? Math.round(this.sum / this.count * 1000) / 1000 : null,
+        max: this.max,
+        buckets: buckets
+    };
+};
+
+function Counters() {
+    this.messages = 0;
+    this.outputs = 0;
+    this.bytesIn = 0;
+    this.bytesOut = 0;
+    this.operations = {};
+    this.failed = 0;
+    this.failures = {};
+    this.repairs = {};
+    this.ratio = new Histogram(RATIO_BUCKETS);
+    this.latency = new Histogram(LATENCY_BUCKETS);
+}
+
+// sample: {operation, outputs, bytesIn, bytesOut, ratio (percent saved or null), repairs: [types], latency}
+Counters.prototype.record = function(sample) {
+    this.messages++;
+    this.outputs += sample.outputs;
+    this.bytesIn += sample.bytesIn;
+    this.bytesOut += sample.bytesOut;
+    this.operations[sample.operation] = (this.operations[sample.operation] || 0) + 1;
+    sample.repairs.forEach((type) => {
+        this.repairs[type] = (this.repairs[type] || 0) + 1;
+    });
+    if (sample.ratio !== null) {
+        this.ratio.observe(sample.ratio);
+    }
+    this.latency.observe(sample.latency);
+};
+
+Counters.prototype.fail = function(code, latency) {
+    this.messages++;
+    this.failed++;
+    this.failures[code] = (this.failures[code] || 0) + 1;
+    if (latency !== undefined) {
+        this.latency.observe(latency);
+    }
+};
+
+Counters.prototype.toJSON = function() {
+    return {
+        messages: this.messages,
+        outputs: this.outputs,
+        bytesIn: this.bytesIn,
+        bytesOut: this.bytesOut,
+        operations: this.operations,
+        failed: this.failed,
+        failures: this.failures,
+        repairs: this.repairs,
+        ratio: this.ratio.toJSON(),
+        latency: this.latency.toJSON()
+    };
+};
+
+function Stats() {
+    this.reset();
+}
+
+Stats.prototype.reset = function() {
+    this.since = new Date();
+    this.total = new Counters();
+    this.topics = new Map();
+};
+
+Stats.prototype.forTopic = function(topic) {
+    let name = topic === undefined || topic === null ? '' : String(topic);
+    if (!this.topics.has(name) && this.topics.size >= MAX_TOPICS) {
+        name = OTHER_TOPICS;
+    }
+    if (!this.topics.has(name)) {
+        this.topics.set(name, new Counters());
+    }
+    return this.topics.get(name);
+};
+
+Stats.prototype.record = function(topic, sample) {
+    this.total.record(sample);
+    this.forTopic(topic).record(sample);
+};
+
+Stats.prototype.fail = function(topic, code, latency) {
+    this.total.fail(code, latency);
+    this.forTopic(topic).fail(code, latency);
+};
+
+// Short running total for the node status
+Stats.prototype.summary = function() {
+    const parts = [this.total.messages + " msgs"];
+    if (this.total.ratio.count > 0) {
+        parts.push((this.total.ratio.sum / this.total.ratio.count).toFixed(1) + "% saved");
+    }
+    if (this.total.latency.count > 0) {
+        parts.push((this.total.latency.sum / this.total.latency.count).toFixed(1) + " ms");
+    }
+    parts.push(this.total.failed + " failed");
+    return parts.join(", ");
+};
+
+Stats.prototype.toJSON = function() {
+    const topics = {};
+    this.topics.forEach((counters, topic) => {
+        topics[topic] = counters.toJSON();
+    });
+    return {since: this.since.toISOString(), ...this.total.toJSON(), topics: topics};
+};
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelText(labels) {
+    return '{' + Object.keys(labels).map((name) => name + '="' + escapeLabel(labels[name]) + '"').join(',') + '}';
+}
+
+// Prometheus text exposition format for several nodes: [{labels: {node, name}, stats}].
+// Series are labelled per topic; sum over the topic label for node totals.
+function toPrometheus(entries) {
+    const metrics = {};
+    function sample(name, type, help, labels, value) {
+        if (!metrics[name]) {
+            metrics[name] = {type: type, help: help, lines: []};
+        }
+        metrics[name].lines.push(name + labelText(labels) + ' ' + value);
+    }
+    function histogram(name, help, labels, histogramData) {
+        if (!metrics[name]) {
+            metrics[name] = {type: 'histogram', help: help, lines: []};
+        }
+        const lines = metrics[name].lines;
+        let cumulative = 0;
+        histogramData.bounds.forEach(function(bound, i) {
+            cumulative += histogramData.counts[i];
+            lines.push(name + '_bucket' + labelText({...labels, le: bound}) + ' ' + cumulative);
+        });
+        lines.push(name + '_bucket' + labelText({...labels, le: '+Inf'}) + ' ' + histogramData.count);
+        lines.push(name + '_sum' + labelText(labels) + ' ' + histogramData.sum);
+        lines.push(name + '_count' + labelText(labels) + ' ' + histogramData.count);
+    }
+
+    entries.forEach(function(entry) {
+        entry.stats.topics.forEach(function(counters, topic) {
+            const labels = {...entry.labels, topic: topic};
+            Object.keys(counters.operations).forEach(function(operation) {
+                sample('kafka_lz4_messages_total', 'counter', 'Messages processed, by operation',
+                    {...labels, operation: operation}, counters.operations[operation]);
+            });
+            Object.keys(counters.failures).forEach(function(code) {
+                sample('kafka_lz4_failures_total', 'counter', 'Failed messages, by error code',
+                    {...labels, code: code}, counters.failures[code]);
+            });
+            Object.keys(counters.repairs).forEach(function(type) {
+                sample('kafka_lz4_repairs_total', 'counter', 'Repairs performed, by type',
+                    {...labels, type: type}, counters.repairs[type]);
+            });
+            sample('kafka_lz4_output_messages_total', 'counter', 'Messages sent', labels, counters.outputs);
+            sample('kafka_lz4_input_bytes_total', 'counter', 'Compressed or uncompressed input bytes processed', labels, counters.bytesIn);
+            sample('kafka_lz4_output_bytes_total', 'counter', 'Bytes produced by compression and decompression', labels, counters.bytesOut);
+            histogram('kafka_lz4_saved_percent', 'Space saved by LZ4 compression, in percent', labels, counters.ratio);
+            histogram('kafka_lz4_processing_milliseconds', 'Processing time per message, in milliseconds', labels, counters.latency);
+        });
+    });
+
+    return Object.keys(metrics).map(function(name) {
+        const metric = metrics[name];
+        return '# HELP ' + name + ' ' + metric.help + '\n# TYPE ' + name + ' ' + metric.type + '\n' +
+            metric.lines.map((line) => line + '\n').join('');
+    }).join('');
+}
+
+module.exports = {
+    Stats: Stats,
+    toPrometheus: toPrometheus
+};
@@ -0,0 +1,113 @@
+// Worker thread pool for large payloads, so decompression, compression and repair
+// do not block the Node-RED event loop. Each worker runs one job at a time.
+const path = require('path');
+const {Worker} = require('worker_threads');
+
+const WORKER_FILE = path.join(__dirname, 'worker.js');
+
+// Structured cloning turns Buffers into plain Uint8Arrays; turn them back (in place)
+function revive(value) {
+    if (value instanceof Uint8Array) {
+        return Buffer.isBuffer(value) ? value : Buffer.from(value.buffer, value.byteOffset, value.length);
+    }
+    if (value && typeof value === 'object') {
+        Object.keys(value).forEach(function(key) {
+            value[key] = revive(value[key]);
+        });
+    }
+    return value;
+}
+
+// Workers are started on demand, up to size. workerData is passed to every worker.
+// options.unref: idle workers do not keep the process running
+function WorkerPool(size, workerData, options) {
+    this.size = size;
+    this.workerData = workerData;
+    this.unref = Boolean(options && options.unref);
+    this.slots = [];        // {worker, task}
+    this.queue = [];        // tasks waiting for a free worker
+    this.closed = false;
+}
+
+// Run a job on the next free worker. Resolves with the worker's reply
+// ({result, events} or {error, events}); rejects when the worker dies.
+WorkerPool.prototype.run = function(job) {
+    if (this.closed) {
+        return Promise.reject(new Error("Worker pool is closed"));
+    }
+    return new Promise((resolve, reject) => {
+        this.queue.push({job: job, resolve: resolve, reject: reject});
+        this.dispatch();
+    });
+};
+
+WorkerPool.prototype.dispatch = function() {
+    while (this.queue.length > 0) {
+        let slot = this.slots.find((candidate) => !candidate.task);
+        if (!slot && this.slots.length < this.size) {
+            slot = this.spawn();
+        }
+        if (!slot) {
+            return;
+        }
+        slot.task = this.queue.shift();
+        slot.worker.postMessage(slot.task.job);
+    }
+};
+
+WorkerPool.prototype.spawn = function() {
+    const pool = this;
+    const slot = {worker: new Worker(WORKER_FILE, {workerData: this.workerData}), task: null};
+
+    slot.worker.on('message', function(reply) {
+        const task = slot.task;
+        slot.task = null;
+        task.resolve(revive(reply));
+        pool.dispatch();
+    });
+
+    // A crashed worker fails its job and is replaced by the next dispatch
+    function stopped(error) {
+        const index = pool.slots.indexOf(slot);
+        if (index === -1) {
+            return;
+        }
+        pool.slots.splice(index, 1);
+        if (slot.task) {
+            slot.task.reject(new Error("Worker stopped: " + error.message));
+            slot.task = null;
+        }
+        if (!pool.closed) {
+            pool.dispatch();
+        }
+    }
+    slot.worker.on('error', stopped);
+    slot.worker.on('exit', (code) => stopped(new Error("exit code " + code)));
+    // After the listeners, which would take the reference again
+    if (this.unref) {
+        slot.worker.unref();
+    }
+
+    this.slots.push(slot);
+    return slot;
+};
+
+// Stop every worker; jobs still waiting are rejected
+WorkerPool.prototype.close = function() {
+    this.closed = true;
+    this.queue.forEach((task) => task.reject(new Error("Worker pool is closed")));
+    this.queue = [];
+    const slots = this.slots;
+    this.slots = [];
+    slots.forEach(function(slot) {
+        if (slot.task) {
+            slot.task.reject(new Error("Worker pool is closed"));
+        }
+    });
+    return Promise.all(slots.map((slot) => slot.worker.terminate()));
+};
+
+module.exports = {
+    WorkerPool: WorkerPool,
+    revive: revive
+};
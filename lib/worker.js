@@ -0,0 +1,91 @@
+// Worker thread side of the pool. A copy of the node, built from the same configuration,
+// processes the messages it is sent; status updates and warnings travel back with the
+// result so the node can replay them. Jobs carrying their own configuration (decode
+// previews) get a copy of the node built for them.
+const crypto = require('crypto');
+const {parentPort, workerData} = require('worker_threads');
+const confluent = require('./confluent');
+const errors = require('./errors');
+const {revive} = require('./worker-pool');
+
+let events = [];
+let schemaSource = null;
+const types = {};
+
+// Split a property expression (a.b[0]["c"]) into its keys
+function propertyPath(expression) {
+    const keys = [];
+    const pattern = /\[(?:(\d+)|"([^"]*)"|'([^']*)')\]|([^.[\]]+)/g;
+    let match;
+    while ((match = pattern.exec(expression)) !== null) {
+        keys.push(match[1] !== undefined ? Number(match[1]) : [match[2], match[3], match[4]].find((key) => key !== undefined));
+    }
+    return keys;
+}
+
+// Just enough of the Node-RED runtime for the node's processing code
+const RED = {
+    nodes: {
+        createNode: function(node, config) {
+            node.id = config.id;
+            node.on = function() {};
+            node.status = (status) => events.push({type: 'status', value: status});
+            node.warn = (warning) => events.push({type: 'warn', value: String(warning)});
+            node.error = (error) => events.push({type: 'warn', value: String(error)});
+            node.log = function() {};
+        },
+        registerType: function(type, constructor) {
+            types[type] = constructor;
+        },
+        getNode: function() {
+            return schemaSource;
+        }
+    },
+    util: {
+        generateId: () => crypto.randomBytes(8).toString('hex'),
+        getMessageProperty: function(msg, expression) {
+            return propertyPath(expression).reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), msg);
+        },
+        setMessageProperty: function(msg, expression, value) {
+            const keys = propertyPath(expression);
+            let target = msg;
+            keys.slice(0, -1).forEach(function(key, i) {
+                if (target[key] === null || typeof target[key] !== 'object') {
+                    target[key] = typeof keys[i + 1] === 'number' ? [] : {};
+                }
+                target = target[key];
+            });
+            target[keys[keys.length - 1]] = value;
+        }
+    },
+    // Admin endpoints belong to the main thread
+    httpAdmin: {get: function() {}, post: function() {}},
+    auth: {needsPermission: function() {}}
+};
+
+require('../kafka-lz4')(RED);
+
+// The dictionary comes as data ({id, data}), so no dictionary file is read here
+function buildNode(config, schemas, dictionary) {
+    schemaSource = schemas ? {store: new confluent.SchemaStore(schemas)} : null;
+    const built = new types['kafka-lz4']({...config, workerThreshold: 0, metricsInterval: 0, dictionary: '', dictionaryId: ''});
+    if (dictionary) {
+        built.dictionary = dictionary;
+        built.dictionaries.set(dictionary.id, dictionary.data);
+    }
+    return built;
+}
+
+const node = buildNode(workerData.config, workerData.schemas, revive(workerData.dictionary));
+
+parentPort.on('message', function(job) {
+    events = [];
+    try {
+        const msg = revive(job.msg);
+        const target = job.config ? buildNode(job.config, job.schemas, revive(job.dictionary)) : node;
+        const result = job.kafka ? target.processKafkaMessage(msg, job.mode) : target.processMessage(msg, job.mode);
+        parentPort.postMessage({result: result, events: events});
+    } catch (error) {
+        parentPort.postMessage({error: errors.classify(error, 'detect').toJSON(), events: events});
+    }
+});
@@ -0,0 +1,75 @@
+const assert = require('assert');
+const avro = require('../lib/avro');
+
+const READING = avro.parse({
+    type: 'record',
+    name: 'Reading',
+    namespace: 'iot',
+    fields: [
+        {name: 'id', type: 'long'},
+        {name: 'sensor', type: 'string'},
+        {name: 'value', type: 'double'},
+        {name: 'ok', type: 'boolean'},
+        {name: 'unit', type: {type: 'enum', name: 'Unit', symbols: ['C', 'F']}},
+        {name: 'tags', type: {type: 'array', items: 'string'}},
+        {name: 'extra', type: {type: 'map', values: 'int'}},
+        {name: 'note', type: ['null', 'string']},
+        {name: 'raw', type: 'bytes'},
+        {name: 'next', type: ['null', 'Reading']}
+    ]
+});
+
+const VALUE = {
+    id: -1234567890123,
+    sensor: 'température',
+    value: 21.5,
+    ok: true,
+    unit: 'F',
+    tags: ['a', 'b'],
+    extra: {x: 1, y: -2},
+    note: null,
+    raw: Buffer.from([0, 255]),
+    next: {
+        id: 2, sensor: 's', value: 0, ok: false, unit: 'C', tags: [], extra: {}, note: 'n', raw: Buffer.alloc(0), next: null
+    }
+};
+
+describe('avro', function() {
+    it('round-trips records, enums, arrays, maps, unions and recursive types', function() {
+        const encoded = avro.encode(READING, VALUE);
+        assert.deepStrictEqual(avro.decode(READING, encoded, 0), VALUE);
+    });
+
+    it('decodes from an offset', function() {
+        const encoded = Buffer.concat([Buffer.from([0, 0, 0, 0, 1]), avro.encode(READING, VALUE)]);
+        assert.deepStrictEqual(avro.decode(READING, encoded, 5), VALUE);
+    });
+
+    it('rejects invalid schemas', function() {
+        assert.throws(() => avro.parse({type: 'record', name: 'R'}), {code: 'INVALID_INPUT'});
+        // Named types are looked up when used
+        const unknown = avro.parse({type: 'record', name: 'R', fields: [{name: 'a', type: 'Missing'}]});
+        assert.throws(() => avro.decode(unknown, Buffer.from([0]), 0), {code: 'INVALID_INPUT'});
+    });
+
+    it('rejects truncated data', function() {
+        const encoded = avro.encode(READING, VALUE);
+        assert.throws(() => avro.decode(READING, encoded.slice(0, encoded.length - 3), 0), {code: 'SCHEMA_MISMATCH'});
+    });
+
+    it('rejects bytes left over after the datum', function() {
+        const encoded = Buffer.concat([avro.encode(READING, VALUE), Buffer.from([0])]);
+        assert.throws(() => avro.decode(READING, encoded, 0), {code: 'SCHEMA_MISMATCH'});
+    });
+
+    it('rejects enum and union indexes out of range', function() {
+        const parsed = avro.parse(['null', {type: 'enum', name: 'E', symbols: ['A']}]);
+        assert.throws(() => avro.decode(parsed, Buffer.from([4]), 0), {code: 'SCHEMA_MISMATCH'});
+        assert.throws(() => avro.decode(parsed, Buffer.from([2, 2]), 0), {code: 'SCHEMA_MISMATCH'});
+    });
+
+    it('rejects values that do not fit the schema', function() {
+        assert.throws(() => avro.encode(READING, {...VALUE, value: 'warm'}), {code: 'SCHEMA_MISMATCH'});
+        assert.throws(() => avro.encode(READING, {...VALUE, note: 5}), {code: 'SCHEMA_MISMATCH'});
+    });
+});
@@ -0,0 +1,62 @@
+const assert = require('assert');
+const block = require('../lib/block');
+
+describe('block', function() {
+    const data = Buffer.from('{"sensor":"temperature","value":21.5}\n'.repeat(200));
+
+    describe('round trip', function() {
+        it('size prefix, little and big endian', function() {
+            ['block-le', 'block-be'].forEach(function(format) {
+                assert.ok(block.decode(block.encode(data, format), format).equals(data));
+            });
+        });
+
+        it('size passed out of band', function() {
+            const encoded = block.encode(data, 'block-property');
+            assert.ok(block.decode(encoded, 'block-property', {size: data.length}).equals(data));
+        });
+
+        it('decoding into a bound', function() {
+            const encoded = block.encode(data, 'block-bound');
+            const decoded = block.decode(encoded, 'block-bound', {bound: 1 << 20});
+            assert.ok(decoded.equals(data));
+            assert.ok(decoded.buffer.byteLength < 1 << 20, "the bound-sized output is not kept alive");
+        });
+
+        it('LZ4 HC', function() {
+            const encoded = block.encode(data, 'block-le', {highCompression: true});
+            assert.ok(block.decode(encoded, 'block-le').equals(data));
+        });
+    });
+
+    describe('corruption', function() {
+        it('rejects a block without its size prefix', function() {
+            assert.throws(() => block.decode(Buffer.from([1, 2]), 'block-le'), {code: 'TRUNCATED_FRAME'});
+        });
+
+        it('rejects invalid block data', function() {
+            const encoded = block.encode(data, 'block-le');
+            assert.throws(() => block.decode(encoded.slice(0, encoded.length - 20), 'block-le'), {code: 'BAD_BLOCK'});
+        });
+
+        it('rejects a size prefix that does not match the data', function() {
+            const encoded = block.encode(data, 'block-le');
+            encoded.writeUInt32LE(data.length + 1, 0);
+            assert.throws(() => block.decode(encoded, 'block-le'), {code: 'BAD_BLOCK'});
+        });
+
+        it('rejects a missing out-of-band size', function() {
+            const encoded = block.encode(data, 'block-property');
+            assert.throws(() => block.decode(encoded, 'block-property', {}), {code: 'INVALID_INPUT'});
+        });
+
+        it('enforces the size limit', function() {
+            const encoded = block.encode(data, 'block-le');
+            assert.throws(() => block.decode(encoded, 'block-le', {maxSize: 100}), {code: 'SIZE_LIMIT'});
+        });
+
+        it('rejects an unknown format', function() {
+            assert.throws(() => block.decode(data, 'block-xx'), {code: 'INVALID_INPUT'});
+        });
+    });
+});
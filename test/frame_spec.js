@@ -0,0 +1,162 @@
+const assert = require('assert');
+const frame = require('../lib/frame');
+
+// Compressible text spanning several 64KB blocks
+function sample(size) {
+    let text = '';
+    for (let i = 0; text.length < size; i++) {
+        text += '{"id":' + i + ',"name":"sensor-' + (i % 7) + '","value":' + (i * 37 % 1000) + '}\n';
+    }
+    return Buffer.from(text.slice(0, size));
+}
+
+describe('frame', function() {
+    describe('round trip', function() {
+        const data = sample(200000);
+
+        [
+            ['default options', {}],
+            ['Kafka options', frame.KAFKA_LZ4_OPTIONS],
+            ['block and content checksums with content size', {blockMaxSize: 64 << 10, blockChecksum: true, contentSize: true}],
+            ['linked blocks', {blockMaxSize: 64 << 10, blockIndependence: false}],
+            ['LZ4 HC', {highCompression: true}]
+        ].forEach(function([name, options]) {
+            it(name, function() {
+                const decoded = frame.decode(frame.encode(data, options));
+                assert.ok(decoded.data.equals(data));
+                assert.strictEqual(decoded.integrity.status, 'intact');
+                assert.strictEqual(decoded.integrity.error, undefined);
+            });
+        });
+
+        it('empty data', function() {
+            const decoded = frame.decode(frame.encode(Buffer.alloc(0)));
+            assert.strictEqual(decoded.data.length, 0);
+            assert.strictEqual(decoded.integrity.status, 'intact');
+        });
+
+        it('legacy Kafka 0.8/0.9 framing', function() {
+            const encoded = frame.encode(data, {framing: 'legacy'});
+            assert.strictEqual(frame.detectFraming(encoded), 'legacy');
+            const decoded = frame.decode(encoded);
+            assert.ok(decoded.data.equals(data));
+            assert.strictEqual(decoded.integrity.headerChecksum, 'legacy');
+        });
+
+        it('pre-shared dictionary', function() {
+            const dictionary = sample(4096);
+            const id = frame.dictionaryId(dictionary);
+            const encoded = frame.encode(data.slice(0, 5000), {dictionary: {id: id, data: dictionary}});
+            const decoded = frame.decode(encoded, 0, new Map([[id, dictionary]]));
+            assert.ok(decoded.data.equals(data.slice(0, 5000)));
+            assert.throws(() => frame.decode(encoded), {code: 'UNKNOWN_DICTIONARY'});
+        });
+    });
+
+    describe('corruption', function() {
+        const data = sample(200000);
+        const options = {blockMaxSize: 64 << 10, blockChecksum: true};
+
+        it('rejects data without the magic number', function() {
+            assert.throws(() => frame.decode(Buffer.from('not a frame')), {code: 'BAD_MAGIC'});
+        });
+
+        it('rejects an invalid frame descriptor', function() {
+            const encoded = frame.encode(data);
+            encoded[4] &= 0x3F;
+            assert.throws(() => frame.decode(encoded), {code: 'BAD_HEADER'});
+        });
+
+        it('rejects a truncated header', function() {
+            assert.throws(() => frame.decode(frame.encode(data).slice(0, 6)), {code: 'TRUNCATED_FRAME'});
+        });
+
+        it('salvages the blocks before a block checksum mismatch', function() {
+            const encoded = frame.encode(data, options);
+            const second = frame.decode(encoded).integrity.blocks[1];
+            encoded[second.offset + 10] ^= 0xFF;
+
+            const decoded = frame.decode(encoded);
+            assert.strictEqual(decoded.integrity.status, 'damaged');
+            assert.strictEqual(decoded.integrity.errorCode, 'BAD_CHECKSUM');
+            assert.strictEqual(decoded.integrity.blocks[1].status, 'checksum_mismatch');
+            assert.strictEqual(decoded.data.length, 64 << 10);
+            assert.ok(decoded.data.equals(data.slice(0, 64 << 10)));
+        });
+
+        it('salvages the blocks of a truncated frame', function() {
+            const encoded = frame.encode(data, options);
+            const decoded = frame.decode(encoded.slice(0, encoded.length - 100));
+            assert.strictEqual(decoded.integrity.status, 'damaged');
+            assert.strictEqual(decoded.integrity.errorCode, 'TRUNCATED_FRAME');
+            assert.strictEqual(decoded.integrity.truncated, true);
+            assert.ok(decoded.data.equals(data.slice(0, decoded.data.length)));
+        });
+
+        it('reports a content checksum mismatch', function() {
+            const encoded = frame.encode(Buffer.from('hello hello hello'));
+            encoded[encoded.length - 1] ^= 0xFF;
+            const decoded = frame.decode(encoded);
+            assert.strictEqual(decoded.integrity.contentChecksum, 'mismatch');
+            assert.strictEqual(decoded.integrity.errorCode, 'BAD_CHECKSUM');
+        });
+
+        it('reports a header checksum mismatch', function() {
+            const encoded = frame.encode(data);
+            encoded[6] ^= 0xFF;
+            const decoded = frame.decode(encoded);
+            assert.strictEqual(decoded.integrity.headerChecksum, 'invalid');
+            assert.strictEqual(decoded.integrity.errorCode, 'BAD_CHECKSUM');
+            assert.ok(decoded.data.equals(data));
+        });
+
+        it('stops at the size limit', function() {
+            assert.throws(() => frame.decode(frame.encode(data), 1000), {code: 'SIZE_LIMIT'});
+            assert.throws(() => frame.decodeFrames(frame.encode(data), 1000), {code: 'SIZE_LIMIT'});
+        });
+
+        it('stops at a frame following one that ends exactly on the size limit', function() {
+            const first = frame.encode(data.slice(0, 1000));
+            assert.strictEqual(frame.decodeFrames(first, 1000).frames[0].data.length, 1000);
+            assert.throws(() => frame.decodeFrames(Buffer.concat([first, frame.encode(data)]), 1000), {code: 'SIZE_LIMIT'});
+        });
+    });
+
+    describe('decodeFrames', function() {
+        it('decodes concatenated frames, skippable frames and garbage between them', function() {
+            const skippable = Buffer.alloc(12);
+            skippable.writeUInt32LE(frame.SKIPPABLE_MAGIC, 0);
+            skippable.writeUInt32LE(4, 4);
+            skippable.write('meta', 8);
+            const buffer = Buffer.concat([
+                frame.encode(Buffer.from('{"a":1}')),
+                skippable,
+                Buffer.from('garbage'),
+                frame.encode(Buffer.from('{"b":2}'))
+            ]);
+
+            const walk = frame.decodeFrames(buffer);
+            assert.deepStrictEqual(walk.frames.map((decoded) => decoded.data.toString()), ['{"a":1}', '{"b":2}']);
+            assert.strictEqual(walk.skippable.length, 1);
+            assert.strictEqual(walk.skippable[0].data.toString(), 'meta');
+            assert.strictEqual(walk.gaps.length, 1);
+            assert.strictEqual(walk.gaps[0].length, 'garbage'.length);
+        });
+
+        it('resyncs after a frame with an unusable header', function() {
+            const broken = frame.encode(Buffer.from('lost'));
+            broken[4] &= 0x3F;
+            const walk = frame.decodeFrames(Buffer.concat([broken, frame.encode(Buffer.from('kept'))]));
+            assert.strictEqual(walk.frames.length, 1);
+            assert.strictEqual(walk.frames[0].data.toString(), 'kept');
+            assert.match(walk.gaps[0].error, /Invalid version/);
+        });
+
+        it('throws the first damage when no frame yields data', function() {
+            const broken = frame.encode(Buffer.from('lost'));
+            broken[4] &= 0x3F;
+            assert.throws(() => frame.decodeFrames(broken), {code: 'BAD_HEADER'});
+            assert.throws(() => frame.decodeFrames(Buffer.from('no frame here')), {code: 'BAD_MAGIC'});
+        });
+    });
+});
@@ -0,0 +1,108 @@
+const assert = require('assert');
+const jsonRecovery = require('../lib/json-recovery');
+
+function types(result) {
+    return result.repairs.map((repair) => repair.type);
+}
+
+describe('json-recovery', function() {
+    it('returns valid JSON as complete, without repairs', function() {
+        const result = jsonRecovery.recover('{"a":[1,2,{"b":null}]}');
+        assert.deepStrictEqual(result.value, {a: [1, 2, {b: null}]});
+        assert.strictEqual(result.complete, true);
+        assert.deepStrictEqual(result.repairs, []);
+    });
+
+    it('accepts unquoted keys and single quotes', function() {
+        const result = jsonRecovery.recover("{name: 'Alice', $id: 1}");
+        assert.deepStrictEqual(result.value, {name: 'Alice', $id: 1});
+        assert.deepStrictEqual(types(result), ['unquoted_key', 'single_quotes', 'unquoted_key']);
+        assert.strictEqual(result.repairs[0].path, '$.name');
+    });
+
+    it('repairs missing, extra and trailing commas', function() {
+        const result = jsonRecovery.recover('{"a":1 "b":2,, "c":[1,2,],}');
+        assert.deepStrictEqual(result.value, {a: 1, b: 2, c: [1, 2]});
+        assert.deepStrictEqual(types(result), ['missing_comma', 'extra_comma', 'trailing_comma', 'trailing_comma']);
+    });
+
+    it('reports missing commas between scalars in arrays', function() {
+        const result = jsonRecovery.recover("{\"arr\": [1 2 -3 'x' true false null]}");
+        assert.deepStrictEqual(result.value, {arr: [1, 2, -3, 'x', true, false, null]});
+        assert.strictEqual(types(result).filter((type) => type === 'missing_comma').length, 6);
+        assert.deepStrictEqual(result.dropped, []);
+    });
+
+    it('reports numbers cut short by the characters after them', function() {
+        const result = jsonRecovery.recover('{"n": 01}');
+        assert.deepStrictEqual(result.value, {n: 0});
+        assert.deepStrictEqual(result.repairs, [{type: 'invalid_number', path: '$.n', offset: 6, length: 2}]);
+    });
+
+    it('closes truncated input and lists the synthesized paths', function() {
+        const result = jsonRecovery.recover('{"a":{"b":[1,2,"thr');
+        assert.deepStrictEqual(result.value, {a: {b: [1, 2, 'thr']}});
+        assert.strictEqual(result.complete, false);
+        assert.deepStrictEqual(types(result), ['unterminated_string', 'unclosed_array', 'unclosed_object', 'unclosed_object']);
+        assert.deepStrictEqual(result.synthesized, ['$.a.b[2]', '$.a.b', '$.a', '$']);
+    });
+
+    it('recovers top-level arrays', function() {
+        const result = jsonRecovery.recover('garbage [{"a":1},{"b":2}] trailing');
+        assert.deepStrictEqual(result.value, [{a: 1}, {b: 2}]);
+        assert.deepStrictEqual(types(result), ['leading_garbage', 'trailing_garbage']);
+    });
+
+    it('skips garbage in front of a value', function() {
+        const result = jsonRecovery.recover('{"a": @@@ 5, "b": 6}');
+        assert.deepStrictEqual(result.value, {a: 5, b: 6});
+        assert.deepStrictEqual(types(result), ['garbage']);
+    });
+
+    it('drops members without a value and reports them', function() {
+        const result = jsonRecovery.recover('{"a": , "b": 2, "c":');
+        assert.deepStrictEqual(result.value, {b: 2});
+        assert.deepStrictEqual(result.dropped, ['$.a', '$.c']);
+        assert.ok(types(result).includes('dropped_member'));
+    });
+
+    it('explains why nothing could be recovered', function() {
+        assert.strictEqual(jsonRecovery.recover('').error, "no text");
+        assert.strictEqual(jsonRecovery.recover('plain text').error, "no JSON object or array found");
+        assert.strictEqual(jsonRecovery.recover('{"b":').value, undefined);
+        assert.match(jsonRecovery.recover('{"b":').error, /dropped \$\.b/);
+        assert.strictEqual(jsonRecovery.recover('{@@@}').error, "the JSON structure holds only garbage");
+    });
+
+    it('keeps "__proto__" keys as own properties', function() {
+        const result = jsonRecovery.recover('{"__proto__": {"polluted": true}, a: 1}');
+        assert.strictEqual(Object.getPrototypeOf(result.value), Object.prototype);
+        assert.deepStrictEqual(Object.keys(result.value), ['__proto__', 'a']);
+        assert.strictEqual(result.value.polluted, undefined);
+        assert.strictEqual({}.polluted, undefined);
+    });
+
+    it('gives up on nesting deeper than the limit', function() {
+        const result = jsonRecovery.recover('['.repeat(1000));
+        assert.strictEqual(result.value, undefined);
+        assert.match(result.error, /nesting deeper/);
+    });
+
+    describe('long garbage runs in linear time', function() {
+        this.timeout(1000);
+
+        it('a base64 run in key position', function() {
+            const result = jsonRecovery.recover('{' + Buffer.alloc(75000, 'data').toString('base64') + '}');
+            assert.strictEqual(result.value, undefined);
+        });
+
+        it('a run of letters in key position', function() {
+            assert.strictEqual(jsonRecovery.recover('{' + 'a'.repeat(200000)).value, undefined);
+        });
+
+        it('many words in key position', function() {
+            const result = jsonRecovery.recover('{' + 'ab '.repeat(50000) + '"k": 1}');
+            assert.deepStrictEqual(result.value, {k: 1});
+        });
+    });
+});
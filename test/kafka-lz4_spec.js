@@ -0,0 +1,353 @@
+const assert = require('assert');
+const helper = require('node-red-node-test-helper');
+const kafkaLz4Node = require('../kafka-lz4.js');
+const frame = require('../lib/frame');
+const charset = require('../lib/charset');
+
+helper.init(require.resolve('node-red'));
+
+// Flow of the node under test wired to a helper node; returns the helper node
+function load(config) {
+    const flow = [
+        {id: 'n1', type: 'kafka-lz4', wires: [['n2']], ...config},
+        {id: 'n2', type: 'helper'}
+    ];
+    return helper.load(kafkaLz4Node, flow).then(() => helper.getNode('n2'));
+}
+
+// Collect count messages from a helper node
+function receive(node, count) {
+    return new Promise(function(resolve) {
+        const msgs = [];
+        node.on('input', function(msg) {
+            msgs.push(msg);
+            if (msgs.length === count) {
+                resolve(msgs);
+            }
+        });
+    });
+}
+
+describe('kafka-lz4 node', function() {
+    beforeEach(function(done) {
+        helper.startServer(done);
+    });
+
+    afterEach(function(done) {
+        helper.unload().then(() => helper.stopServer(done));
+    });
+
+    it('decompresses an LZ4 frame holding JSON', function() {
+        return load({mode: 'decompress'}).then(function(out) {
+            const received = receive(out, 1);
+            helper.getNode('n1').receive({payload: frame.encode(Buffer.from('{"a":1}'))});
+            return received;
+        }).then(function([msg]) {
+            assert.deepStrictEqual(msg.payload, {a: 1});
+            assert.strictEqual(msg.lz4.operation, 'decompress');
+        });
+    });
+
+    it('compresses and decompresses back', function() {
+        return load({mode: 'compress', compressMinSize: 0, compressMinRatio: 0}).then(function(out) {
+            const received = receive(out, 1);
+            helper.getNode('n1').receive({payload: {text: 'hello '.repeat(100)}});
+            return received;
+        }).then(function([msg]) {
+            assert.ok(Buffer.isBuffer(msg.payload));
+            assert.deepStrictEqual(JSON.parse(frame.decode(msg.payload).data.toString()), {text: 'hello '.repeat(100)});
+        });
+    });
+
+    ['concat', 'parts'].forEach(function(frameOutput) {
+        it('splits NDJSON records spanning frames with Multiple Frames set to ' + frameOutput, function() {
+            const payload = Buffer.concat([
+                frame.encode(Buffer.from('{"a":1}\n{"b":')),
+                frame.encode(Buffer.from('2}\n{"c":3}\n'))
+            ]);
+            return load({mode: 'decompress', recordFormat: 'ndjson', frameOutput: frameOutput}).then(function(out) {
+                const received = receive(out, 3);
+                helper.getNode('n1').receive({payload: payload});
+                return received;
+            }).then(function(msgs) {
+                assert.deepStrictEqual(msgs.map((msg) => msg.payload), [{a: 1}, {b: 2}, {c: 3}]);
+                msgs.forEach(function(msg, index) {
+                    assert.strictEqual(msg.parts.index, index);
+                    assert.strictEqual(msg.parts.count, 3);
+                    assert.deepStrictEqual(msg.lz4.repairs, []);
+                });
+            });
+        });
+    });
+
+    it('sends one message per frame for single JSON documents', function() {
+        const payload = Buffer.concat([frame.encode(Buffer.from('{"a":1}')), frame.encode(Buffer.from('{"b":2}'))]);
+        return load({mode: 'decompress', frameOutput: 'parts'}).then(function(out) {
+            const received = receive(out, 2);
+            helper.getNode('n1').receive({payload: payload});
+            return received;
+        }).then(function(msgs) {
+            assert.deepStrictEqual(msgs.map((msg) => msg.payload), [{a: 1}, {b: 2}]);
+            assert.deepStrictEqual(msgs.map((msg) => msg.parts.index), [0, 1]);
+        });
+    });
+
+    [
+        ['passes small input through', {compressMinSize: 1000, belowThreshold: 'passthrough'}, 'passthrough', 'below_min_size'],
+        ['cleans input that compresses poorly', {}, 'cleaned', 'below_min_ratio'],
+        ['always compresses', {alwaysCompress: true}, 'compress', 'always']
+    ].forEach(function([name, policy, operation, reason]) {
+        it(name + ' and records the decision', function() {
+            return load({mode: 'auto', ...policy}).then(function(out) {
+                const received = receive(out, 1);
+                helper.getNode('n1').receive({payload: '{"a":"xyzzy"}'});
+                return received;
+            }).then(function([msg]) {
+                assert.strictEqual(msg.lz4.operation, operation);
+                assert.strictEqual(msg.lz4.decision, operation === 'compress' ? 'compressed' : 'skipped');
+                assert.strictEqual(msg.lz4.reason, reason);
+                if (operation === 'passthrough') {
+                    assert.strictEqual(msg.payload, '{"a":"xyzzy"}');
+                } else if (operation === 'cleaned') {
+                    assert.deepStrictEqual(msg.payload, {a: 'xyzzy'});
+                } else {
+                    assert.ok(Buffer.isBuffer(msg.payload));
+                }
+            });
+        });
+    });
+
+    [
+        ['the default garbage classes', undefined, '東京\u200B'],
+        ['configured garbage classes', 'control,format', '東京']
+    ].forEach(function([name, garbageClasses, city]) {
+        it('keeps non-ASCII text and removes ' + name, function() {
+            return load({mode: 'repair', garbageClasses: garbageClasses}).then(function(out) {
+                const received = receive(out, 1);
+                helper.getNode('n1').receive({payload: '{"name":"홍길동\u0001","city":"東京\u200B"}'});
+                return received;
+            }).then(function([msg]) {
+                assert.deepStrictEqual(msg.payload, {name: '홍길동', city: city});
+            });
+        });
+    });
+
+    it('lists the repairs and keeps the original payload of repaired messages', function() {
+        return load({mode: 'repair', originalProperty: 'raw'}).then(function(out) {
+            const received = receive(out, 2);
+            helper.getNode('n1').receive({payload: "{name: 'Alice', \"n\": 1,}"});
+            helper.getNode('n1').receive({payload: '{"n":2}'});
+            return received;
+        }).then(function([repaired, valid]) {
+            assert.deepStrictEqual(repaired.payload, {name: 'Alice', n: 1});
+            assert.deepStrictEqual(repaired.lz4.repairs.map((repair) => repair.stage + ':' + repair.type),
+                ['json:unquoted_key', 'json:single_quotes', 'json:trailing_comma']);
+            assert.strictEqual(repaired.raw, "{name: 'Alice', \"n\": 1,}");
+            assert.deepStrictEqual(valid.lz4.repairs, []);
+            assert.strictEqual(valid.raw, undefined);
+        });
+    });
+
+    it('decompresses the value of a Kafka message marked by its encoding header', function() {
+        const record = {
+            topic: 'readings', partition: 3, offset: '42', key: 'sensor-1',
+            value: frame.encode(Buffer.from('{"a":1}')), headers: {'Content-Encoding': 'lz4', trace: 'abc'}
+        };
+        return load({messageShape: 'kafka'}).then(function(out) {
+            const received = receive(out, 1);
+            helper.getNode('n1').receive({payload: record});
+            return received;
+        }).then(function([msg]) {
+            assert.deepStrictEqual(msg.payload, {
+                topic: 'readings', partition: 3, offset: '42', key: 'sensor-1', value: {a: 1}, headers: {trace: 'abc'}
+            });
+            assert.strictEqual(msg.lz4.operation, 'decompress');
+        });
+    });
+
+    it('compresses the value of a Kafka message and sets the encoding header', function() {
+        return load({mode: 'compress', messageShape: 'kafka'}).then(function(out) {
+            const received = receive(out, 1);
+            helper.getNode('n1').receive({topic: 'readings', key: 'sensor-1', value: '{"a":1}', headers: {trace: 'abc'}});
+            return received;
+        }).then(function([msg]) {
+            assert.strictEqual(msg.topic, 'readings');
+            assert.strictEqual(msg.key, 'sensor-1');
+            assert.deepStrictEqual(msg.headers, {trace: 'abc', 'content-encoding': 'lz4'});
+            assert.strictEqual(frame.decode(msg.value).data.toString(), '{"a":1}');
+        });
+    });
+
+    it('reads and writes the configured message properties', function() {
+        const config = {mode: 'decompress', inputProperty: 'data.body', outputProperty: 'decoded', metadataProperty: 'meta.lz4'};
+        return load(config).then(function(out) {
+            const received = receive(out, 1);
+            helper.getNode('n1').receive({payload: 'original'});
+            helper.getNode('n1').receive({payload: 'original', data: {body: frame.encode(Buffer.from('{"a":1}'))}});
+            return received;
+        }).then(function([msg]) {
+            assert.strictEqual(helper.getNode('n1').warn.firstCall.args[0], "No payload found in msg.data.body");
+            assert.strictEqual(msg.payload, 'original');
+            assert.deepStrictEqual(msg.decoded, {a: 1});
+            assert.strictEqual(msg.meta.lz4.operation, 'decompress');
+            assert.strictEqual(msg.lz4, undefined);
+        });
+    });
+
+    it('reads from and writes to flow context', function() {
+        const flow = [
+            {id: 'f1', type: 'tab'},
+            {id: 'n1', z: 'f1', type: 'kafka-lz4', mode: 'decompress', inputProperty: 'blob', inputPropertyType: 'flow',
+                outputProperty: 'latest', outputPropertyType: 'flow', wires: [['n2']]},
+            {id: 'n2', z: 'f1', type: 'helper'}
+        ];
+        return helper.load(kafkaLz4Node, flow).then(function() {
+            const node = helper.getNode('n1');
+            node.context().flow.set('blob', frame.encode(Buffer.from('{"a":1}')));
+            const received = receive(helper.getNode('n2'), 1);
+            node.receive({payload: 'trigger'});
+            return received;
+        }).then(function([msg]) {
+            assert.strictEqual(msg.payload, 'trigger');
+            assert.deepStrictEqual(helper.getNode('n1').context().flow.get('latest'), {a: 1});
+        });
+    });
+
+    it('fails invalid JSON split across two frames in strict mode', function() {
+        const payload = Buffer.concat([frame.encode(Buffer.from('{"a":1,')), frame.encode(Buffer.from('"b":}'))]);
+        const flow = [
+            {id: 'n1', type: 'kafka-lz4', mode: 'decompress', strict: true, errorOutput: true, outputs: 2, wires: [[], ['n2']]},
+            {id: 'n2', type: 'helper'}
+        ];
+        return helper.load(kafkaLz4Node, flow).then(function() {
+            const received = receive(helper.getNode('n2'), 1);
+            helper.getNode('n1').receive({payload: payload});
+            return received;
+        }).then(function([msg]) {
+            assert.strictEqual(msg.error.code, 'JSON_UNRECOVERABLE');
+        });
+    });
+
+    it('sends coded errors to the error output', function() {
+        const flow = [
+            {id: 'n1', type: 'kafka-lz4', mode: 'decompress', errorOutput: true, outputs: 2, wires: [[], ['n2']]},
+            {id: 'n2', type: 'helper'}
+        ];
+        const broken = frame.encode(Buffer.from('{"a":1}'));
+        broken[4] &= 0x3F;
+        return helper.load(kafkaLz4Node, flow).then(function() {
+            const received = receive(helper.getNode('n2'), 1);
+            helper.getNode('n1').receive({payload: broken});
+            return received;
+        }).then(function([msg]) {
+            assert.strictEqual(msg.error.code, 'BAD_HEADER');
+            assert.strictEqual(msg.error.stage, 'decompress');
+        });
+    });
+
+    it('keeps sending after a worker result that cannot be sent', function() {
+        // Padded with a skippable frame so that only the first message goes to a worker
+        const skippable = Buffer.alloc(108);
+        skippable.writeUInt32LE(frame.SKIPPABLE_MAGIC, 0);
+        skippable.writeUInt32LE(100, 4);
+        const flow = [
+            {id: 'n1', type: 'kafka-lz4', mode: 'decompress', workerThreshold: 100, workerPoolSize: 1,
+                errorOutput: true, outputs: 2, wires: [['n2'], ['n3']]},
+            {id: 'n2', type: 'helper'},
+            {id: 'n3', type: 'helper'}
+        ];
+        return helper.load(kafkaLz4Node, flow).then(function() {
+            const node = helper.getNode('n1');
+            const writeOutput = node.writeOutput;
+            node.writeOutput = function(msg, resultMsg) {
+                if (msg.broken) {
+                    throw new Error("cannot write the result");
+                }
+                return writeOutput(msg, resultMsg);
+            };
+            const received = Promise.all([receive(helper.getNode('n2'), 1), receive(helper.getNode('n3'), 1)]);
+            node.receive({payload: Buffer.concat([frame.encode(Buffer.from('{"a":0}')), skippable]), broken: true});
+            node.receive({payload: frame.encode(Buffer.from('{"a":1}'))});
+            return received;
+        }).then(function([[msg], [failure]]) {
+            assert.deepStrictEqual(msg.payload, {a: 1});
+            assert.strictEqual(failure.error.message, "cannot write the result");
+            assert.strictEqual(helper.getNode('n1').inFlight.length, 0);
+        });
+    });
+
+    [
+        ['blank NDJSON lines', 'ndjson', '\n\n', '{"a":"1"}\n', 0],
+        ['a CSV header row', 'csv', 'a,b\n', 'a\n1\n', 0],
+        ['blank NDJSON lines in a worker', 'ndjson', '\n\n', '{"a":"1"}\n', 1]
+    ].forEach(function([name, recordFormat, empty, next, workerThreshold]) {
+        it('sends nothing for ' + name + ' and counts the message', function() {
+            const config = {mode: 'decompress', recordFormat: recordFormat, workerThreshold: workerThreshold, workerPoolSize: 1};
+            return load(config).then(function(out) {
+                const received = receive(out, 1);
+                helper.getNode('n1').receive({payload: frame.encode(Buffer.from(empty))});
+                helper.getNode('n1').receive({payload: frame.encode(Buffer.from(next))});
+                return received;
+            }).then(function([msg]) {
+                assert.deepStrictEqual(msg.payload, {a: '1'});
+                const total = helper.getNode('n1').stats.total.toJSON();
+                assert.strictEqual(total.messages, 2);
+                assert.strictEqual(total.outputs, 1);
+                assert.strictEqual(total.failed, 0);
+                assert.deepStrictEqual(total.operations, {decompress: 2});
+            });
+        });
+    });
+
+    it('reports the charset detected when repairing binary input', function() {
+        return load({mode: 'repair', charset: 'auto'}).then(function(out) {
+            const received = receive(out, 1);
+            helper.getNode('n1').receive({payload: charset.encode("{name: '홍길동', city: '서울'}", 'euc-kr')});
+            return received;
+        }).then(function([msg]) {
+            assert.deepStrictEqual(msg.payload, {name: '홍길동', city: '서울'});
+            assert.strictEqual(msg.lz4.operation, 'cleanup');
+            assert.strictEqual(msg.lz4.charset, 'euc-kr');
+        });
+    });
+
+    it('serves statistics from the admin endpoint', function() {
+        return load({mode: 'decompress', name: 'decoder'}).then(function(out) {
+            const received = receive(out, 1);
+            helper.getNode('n1').receive({topic: 'readings', payload: frame.encode(Buffer.from('{"a":1}'))});
+            return received;
+        }).then(function() {
+            return helper.request().get('/kafka-lz4/n1/stats').expect(200);
+        }).then(function(res) {
+            assert.strictEqual(res.body.name, 'decoder');
+            assert.strictEqual(res.body.messages, 1);
+            assert.deepStrictEqual(res.body.operations, {decompress: 1});
+            assert.strictEqual(res.body.topics.readings.messages, 1);
+            return helper.request().get('/kafka-lz4/stats?format=prometheus').expect(200);
+        }).then(function(res) {
+            assert.match(res.text, /^kafka_lz4_messages_total\{node="n1",name="decoder",topic="readings",operation="decompress"\} 1$/m);
+            return helper.request().get('/kafka-lz4/missing/stats').expect(404);
+        });
+    });
+
+    it('sends metrics on the last output', function() {
+        const flow = [
+            {id: 'n1', type: 'kafka-lz4', mode: 'decompress', metricsInterval: 0.05, outputs: 2, wires: [[], ['n2']]},
+            {id: 'n2', type: 'helper'}
+        ];
+        return helper.load(kafkaLz4Node, flow).then(function() {
+            const received = receive(helper.getNode('n2'), 1);
+            helper.getNode('n1').receive({payload: frame.encode(Buffer.from('{"a":1}'))});
+            return received;
+        }).then(function([msg]) {
+            assert.strictEqual(msg.topic, 'metrics');
+            assert.strictEqual(msg.payload.messages, 1);
+        });
+    });
+
+    it('limits messages in flight to 100 by default', function() {
+        return load({mode: 'decompress'}).then(function() {
+            assert.strictEqual(helper.getNode('n1').maxInFlight, 100);
+        });
+    });
+});
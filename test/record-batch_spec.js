@@ -0,0 +1,98 @@
+const assert = require('assert');
+const crc32c = require('../lib/crc32c');
+const frame = require('../lib/frame');
+const recordBatch = require('../lib/record-batch');
+
+// Uncompressed (codec none) batch around hand-written records bytes, with a valid CRC
+function plainBatch(recordsData, recordCount) {
+    const header = Buffer.alloc(61);
+    header.writeInt32BE(61 - 12 + recordsData.length, 8);
+    header.writeInt8(2, 16);
+    header.writeInt32BE(recordCount, 57);
+    const batch = Buffer.concat([header, recordsData]);
+    batch.writeUInt32BE(crc32c(batch.slice(21)), 17);
+    return batch;
+}
+
+describe('record-batch', function() {
+    it('round-trips keys, values, headers and timestamps', function() {
+        const batch = recordBatch.encodeRecordBatch([
+            {key: 'k1', value: {a: 1}, headers: {trace: 'x', tag: ['a', 'b']}, timestamp: 1700000000000},
+            {key: null, value: 'two', timestamp: 1700000000500}
+        ], {baseOffset: 42});
+
+        const batches = recordBatch.decodeRecordBatches(batch);
+        assert.strictEqual(batches.length, 1);
+        assert.strictEqual(batches[0].codec, 'lz4');
+        assert.strictEqual(batches[0].recordCount, 2);
+
+        const records = batches[0].records;
+        assert.strictEqual(records[0].offset, 42);
+        assert.strictEqual(records[0].key.toString(), 'k1');
+        assert.deepStrictEqual(JSON.parse(records[0].value.toString()), {a: 1});
+        assert.strictEqual(records[0].headers.trace.toString(), 'x');
+        assert.deepStrictEqual(records[0].headers.tag.map(String), ['a', 'b']);
+        assert.strictEqual(records[0].timestamp, 1700000000000);
+        assert.strictEqual(records[1].offset, 43);
+        assert.strictEqual(records[1].key, null);
+        assert.strictEqual(records[1].value.toString(), 'two');
+        assert.strictEqual(records[1].timestamp, 1700000000500);
+    });
+
+    it('decodes several batches back to back', function() {
+        const first = recordBatch.encodeRecordBatch([{value: 'a'}]);
+        const second = recordBatch.encodeRecordBatch([{value: 'b'}], {baseOffset: 1});
+        const batches = recordBatch.decodeRecordBatches(Buffer.concat([first, second]));
+        assert.deepStrictEqual(batches.map((batch) => batch.records[0].value.toString()), ['a', 'b']);
+    });
+
+    it('stops at a batch following one that ends exactly on the size limit', function() {
+        const first = recordBatch.encodeRecordBatch([{value: 'a'}]);
+        // Decompressed size of the records section, after the 61-byte batch header
+        const limit = frame.decode(first.slice(61)).data.length;
+        const second = recordBatch.encodeRecordBatch([{value: 'b'.repeat(100000)}]);
+        assert.strictEqual(recordBatch.decodeRecordBatches(first, limit).length, 1);
+        assert.throws(() => recordBatch.decodeRecordBatches(Buffer.concat([first, second]), limit), {code: 'SIZE_LIMIT'});
+    });
+
+    it('rejects records it cannot encode', function() {
+        assert.throws(() => recordBatch.encodeRecordBatch([]), {code: 'INVALID_INPUT'});
+        assert.throws(() => recordBatch.encodeRecordBatch(['text']), {code: 'INVALID_INPUT'});
+        assert.throws(() => recordBatch.encodeRecordBatch([{value: 'a', timestamp: 1.5}]), {code: 'INVALID_INPUT'});
+        assert.throws(() => recordBatch.encodeRecordBatch([{value: 'a', headers: 'h'}]), {code: 'INVALID_INPUT'});
+    });
+
+    it('reports a CRC mismatch', function() {
+        const batch = recordBatch.encodeRecordBatch([{value: 'hello'}]);
+        batch[batch.length - 5] ^= 0xFF;
+        assert.throws(() => recordBatch.decodeRecordBatches(batch), {code: 'BAD_CHECKSUM'});
+    });
+
+    it('reports an unsupported magic byte', function() {
+        const batch = recordBatch.encodeRecordBatch([{value: 'hello'}]);
+        batch.writeInt8(1, 16);
+        assert.throws(() => recordBatch.decodeRecordBatches(batch), {code: 'BAD_MAGIC'});
+    });
+
+    it('reports truncated batches', function() {
+        const batch = recordBatch.encodeRecordBatch([{value: 'hello'}]);
+        assert.throws(() => recordBatch.decodeRecordBatches(batch.slice(0, 40)), {code: 'TRUNCATED_FRAME'});
+        assert.throws(() => recordBatch.decodeRecordBatches(batch.slice(0, batch.length - 1)), {code: 'TRUNCATED_FRAME'});
+    });
+
+    it('reports records whose length does not match their fields', function() {
+        // length 8, attributes, timestampDelta 0, offsetDelta 0, null key, null value, no headers, one extra byte
+        const record = Buffer.from([16, 0, 0, 0, 1, 1, 0, 0, 0]);
+        assert.throws(() => recordBatch.decodeRecordBatches(plainBatch(record, 1)), {code: 'BAD_RECORD'});
+    });
+
+    it('reports varints longer than 10 bytes', function() {
+        const record = Buffer.alloc(11, 0xFF);
+        assert.throws(() => recordBatch.decodeRecordBatches(plainBatch(record, 1)), {code: 'BAD_RECORD'});
+    });
+
+    it('reports records cut short', function() {
+        const record = Buffer.from([20, 0, 0]);
+        assert.throws(() => recordBatch.decodeRecordBatches(plainBatch(record, 1)), {code: 'TRUNCATED_FRAME'});
+    });
+});